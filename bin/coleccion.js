@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+require('dotenv').config();
+// Server logs go to stdout too; keep them out of the command output unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  pool,
+  testDatabaseConnection,
+  getArtistas,
+  getAlbumes,
+  buscarColeccion,
+  importColeccion,
+  checkIntegridad,
+  createUsuario,
+  findUsuarioPorEmail,
+  getUsuarioPorId,
+  updateUsuarioRol
+} = require('../config/database');
+const { getMigrationStatus } = require('../config/migrations');
+const { parseImportCsv, parseImportJson, parseImportNdjson, parseImportXml } = require('../utils/import');
+const { ROLES, PASSWORD_MIN_LENGTH, hashPassword } = require('../utils/usuarios');
+
+const USAGE = `Usage: coleccion <command> [options] [--json]
+
+Commands:
+  status                                  Database connection and migration state
+  seed [--file <path>] [--dry-run]        Import the demo data, or a CSV/JSON/NDJSON/XML file
+  artistas list [--limit <n>] [--offset <n>] [--genre <genero>]
+  artistas find <text>                    Fuzzy search artists by name or genre
+  albumes list [--limit <n>] [--offset <n>] [--genre <genero>] [--artist <id>]
+  albumes find <text>                     Fuzzy search albums by title
+  usuarios create <email> [--name <nombre>] [--role <rol>] [--password <password>]
+  usuarios role <email|id> <rol>          Assign a role (${ROLES.join(', ')})
+  check [--min-year <n>] [--max-year <n>] Report orphaned albums, invalid years and duplicate titles
+
+Exit codes: 0 ok, 1 error, 2 invalid usage, 3 problems found (pending migrations,
+integrity issues, invalid seed rows), 4 nothing found.`;
+
+// Exit codes scripts can tell apart
+const EXIT = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  problemas: 3,
+  noEncontrado: 4
+};
+
+const BOOLEAN_FLAGS = ['json', 'dry-run', 'help'];
+const DEMO_SEED_FILE = path.join(__dirname, '..', 'seeds', 'demo.json');
+
+const SEED_PARSERS = {
+  '.csv': parseImportCsv,
+  '.ndjson': parseImportNdjson,
+  '.jsonl': parseImportNdjson,
+  '.xml': parseImportXml,
+  '.json': (text) => parseImportJson(JSON.parse(text))
+};
+
+const usageError = (message) => {
+  const error = new Error(message);
+  error.code = 'CLI_USAGE';
+  return error;
+};
+
+// Split argv into positional words and --flags; flags other than BOOLEAN_FLAGS take a value
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const name = arg.slice(2);
+
+    if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+      continue;
+    }
+
+    if (index + 1 >= argv.length) {
+      throw usageError(`--${name} needs a value`);
+    }
+
+    flags[name] = argv[index + 1];
+    index += 1;
+  }
+
+  return { positional, flags };
+}
+
+const readInteger = (flags, name, { min = 0 } = {}) => {
+  if (flags[name] === undefined) {
+    return undefined;
+  }
+
+  const value = Number(flags[name]);
+
+  if (!Number.isInteger(value) || value < min) {
+    throw usageError(`--${name} must be an integer of at least ${min}`);
+  }
+
+  return value;
+};
+
+const requireArg = (value, name) => {
+  if (value === undefined || String(value).trim() === '') {
+    throw usageError(`Missing ${name}`);
+  }
+
+  return String(value).trim();
+};
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Print rows as an aligned text table with the given columns
+function printTable(rows, columns) {
+  if (rows.length === 0) {
+    console.log('(none)');
+    return;
+  }
+
+  const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+  const widths = columns.map((column, index) =>
+    Math.max(column.length, ...cells.map(line => line[index].length))
+  );
+  const formatLine = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  console.log(formatLine(columns));
+  console.log(formatLine(widths.map(width => '-'.repeat(width))));
+  cells.forEach(line => console.log(formatLine(line)));
+}
+
+// Each command returns { data, exitCode, print }: print() writes the human-readable output,
+// and --json prints data instead
+const commands = {
+  async status() {
+    const database = await testDatabaseConnection();
+    const migrations = await getMigrationStatus();
+    const { applied, ...resumenMigraciones } = migrations;
+
+    return {
+      data: { database, migrations: resumenMigraciones },
+      exitCode: migrations.upToDate ? EXIT.ok : EXIT.problemas,
+      print() {
+        console.log(`Database: connected (${database.driver}${database.database ? `, ${database.database}` : ''})`);
+        console.log(`Server: ${database.postgresVersion}`);
+        console.log(`Migrations: version ${migrations.currentVersion} of ${migrations.latestVersion}`);
+        migrations.pending.forEach(({ version, name }) => console.log(`  pending ${version}_${name}`));
+      }
+    };
+  },
+
+  async seed({ flags }) {
+    const file = flags.file ? path.resolve(flags.file) : DEMO_SEED_FILE;
+    const parse = SEED_PARSERS[path.extname(file).toLowerCase()];
+
+    if (!parse) {
+      throw usageError(`Unsupported seed file "${file}", use ${Object.keys(SEED_PARSERS).join(', ')}`);
+    }
+
+    const filas = parse(await fs.readFile(file, 'utf8'));
+    const dryRun = flags['dry-run'] === true;
+    const reporte = await importColeccion(filas, { dryRun });
+    const contar = (estado) => reporte.filter(fila => fila.estado === estado).length;
+    const resumen = {
+      filas: reporte.length,
+      creados: contar('creado'),
+      duplicados: contar('duplicado'),
+      invalidos: contar('invalido')
+    };
+
+    return {
+      data: { archivo: file, dry_run: dryRun, resumen, filas: reporte },
+      exitCode: resumen.invalidos > 0 ? EXIT.problemas : EXIT.ok,
+      print() {
+        console.log(`${dryRun ? 'Dry run of' : 'Seeded from'} ${file}`);
+        console.log(
+          `  ${resumen.filas} rows: ${resumen.creados} created, ${resumen.duplicados} already present, ${resumen.invalidos} invalid`
+        );
+        reporte
+          .filter(fila => fila.estado === 'invalido')
+          .forEach(({ referencia, motivo }) => console.log(`  ${referencia}: ${motivo}`));
+      }
+    };
+  },
+
+  async artistas({ positional: [accion, ...resto], flags }) {
+    if (accion === 'list') {
+      const { artistas, total } = await getArtistas({
+        limit: readInteger(flags, 'limit', { min: 1 }),
+        offset: readInteger(flags, 'offset'),
+        genero_musica: flags.genre
+      });
+
+      return {
+        data: { artistas, total },
+        exitCode: EXIT.ok,
+        print() {
+          printTable(artistas, ['id_artista', 'nombre', 'genero_musica']);
+          console.log(`${artistas.length} of ${total} artistas`);
+        }
+      };
+    }
+
+    if (accion === 'find') {
+      const hits = await buscarColeccion(requireArg(resto.join(' '), 'search text'), { tipo: 'artista' });
+      const artistas = hits.map(({ artista, puntuacion }) => ({ ...artista, puntuacion }));
+
+      return {
+        data: { artistas },
+        exitCode: artistas.length > 0 ? EXIT.ok : EXIT.noEncontrado,
+        print: () => printTable(artistas, ['id_artista', 'nombre', 'genero_musica', 'puntuacion'])
+      };
+    }
+
+    throw usageError('Use artistas list or artistas find <text>');
+  },
+
+  async albumes({ positional: [accion, ...resto], flags }) {
+    const columns = ['id_album', 'titulo_album', 'anio_album', 'id_artista'];
+
+    if (accion === 'list') {
+      const { albumes, total } = await getAlbumes({
+        limit: readInteger(flags, 'limit', { min: 1 }),
+        offset: readInteger(flags, 'offset'),
+        genero_musica: flags.genre,
+        id_artista: readInteger(flags, 'artist', { min: 1 })
+      });
+
+      return {
+        data: { albumes, total },
+        exitCode: EXIT.ok,
+        print() {
+          printTable(albumes, columns);
+          console.log(`${albumes.length} of ${total} albumes`);
+        }
+      };
+    }
+
+    if (accion === 'find') {
+      const hits = await buscarColeccion(requireArg(resto.join(' '), 'search text'), { tipo: 'album' });
+      const albumes = hits.map(({ album, puntuacion }) => ({ ...album, puntuacion }));
+
+      return {
+        data: { albumes },
+        exitCode: albumes.length > 0 ? EXIT.ok : EXIT.noEncontrado,
+        print: () => printTable(albumes, [...columns, 'nombre_artista', 'puntuacion'])
+      };
+    }
+
+    throw usageError('Use albumes list or albumes find <text>');
+  },
+
+  async usuarios({ positional: [accion, ...resto], flags }) {
+    const readRol = (rol) => {
+      if (!ROLES.includes(rol)) {
+        throw usageError(`Role must be one of ${ROLES.join(', ')}`);
+      }
+
+      return rol;
+    };
+    const columns = ['id_usuario', 'email', 'nombre', 'rol'];
+
+    if (accion === 'create') {
+      const email = requireArg(resto[0], 'email');
+
+      if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+        throw usageError(`Invalid email "${email}"`);
+      }
+
+      const rol = flags.role === undefined ? 'lector' : readRol(flags.role);
+      // Without --password or COLECCION_PASSWORD a random one is generated and shown once
+      const passwordDada = flags.password || process.env.COLECCION_PASSWORD;
+      const password = passwordDada || crypto.randomBytes(12).toString('base64url');
+
+      if (password.length < PASSWORD_MIN_LENGTH) {
+        throw usageError(`Password must have at least ${PASSWORD_MIN_LENGTH} characters`);
+      }
+
+      const usuario = await createUsuario({
+        email,
+        nombre: flags.name || null,
+        password_hash: await hashPassword(password),
+        rol
+      });
+
+      const generada = passwordDada ? undefined : password;
+
+      return {
+        data: { usuario, password_generada: generada },
+        exitCode: EXIT.ok,
+        print() {
+          printTable([usuario], columns);
+
+          if (generada) {
+            console.log(`Generated password: ${generada}`);
+          }
+        }
+      };
+    }
+
+    if (accion === 'role') {
+      const referencia = requireArg(resto[0], 'email or id');
+      const rol = readRol(requireArg(resto[1], 'role'));
+      const existente = /^\d+$/.test(referencia)
+        ? await getUsuarioPorId(Number(referencia))
+        : await findUsuarioPorEmail(referencia);
+      const usuario = existente ? await updateUsuarioRol(existente.id_usuario, rol) : null;
+
+      if (!usuario) {
+        const error = new Error(`Usuario "${referencia}" not found`);
+        error.code = 'USUARIO_NOT_FOUND';
+        throw error;
+      }
+
+      return {
+        data: { usuario },
+        exitCode: EXIT.ok,
+        print: () => printTable([usuario], columns)
+      };
+    }
+
+    throw usageError('Use usuarios create <email> or usuarios role <email|id> <rol>');
+  },
+
+  async check({ flags }) {
+    const reporte = await checkIntegridad({
+      anioMinimo: readInteger(flags, 'min-year'),
+      anioMaximo: readInteger(flags, 'max-year')
+    });
+    const { albumes_huerfanos, anios_invalidos, titulos_duplicados } = reporte;
+    const problemas = albumes_huerfanos.length + anios_invalidos.length + titulos_duplicados.length;
+
+    return {
+      data: { ...reporte, problemas },
+      exitCode: problemas > 0 ? EXIT.problemas : EXIT.ok,
+      print() {
+        console.log(`Orphaned albums (artist missing or in the papelera): ${albumes_huerfanos.length}`);
+        printTable(albumes_huerfanos, ['id_album', 'titulo_album', 'id_artista', 'artista_eliminado_en']);
+        console.log(`\nYears outside ${reporte.anio_minimo}-${reporte.anio_maximo}: ${anios_invalidos.length}`);
+        printTable(anios_invalidos, ['id_album', 'titulo_album', 'anio_album']);
+        console.log(`\nTitles differing only in case or spacing: ${titulos_duplicados.length}`);
+        printTable(titulos_duplicados, ['titulo', 'ids_album']);
+        console.log(problemas > 0 ? `\n${problemas} problems found` : '\nNo problems found');
+      }
+    };
+  }
+};
+
+async function main() {
+  const { positional: [command, ...positional], flags } = parseArgs(process.argv.slice(2));
+
+  if (!command || flags.help) {
+    console.log(USAGE);
+    return command || flags.help ? EXIT.ok : EXIT.usage;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+    throw usageError(`Unknown command "${command}"`);
+  }
+
+  const result = await commands[command]({ positional, flags });
+
+  if (flags.json) {
+    console.log(JSON.stringify(result.data, null, 2));
+  } else {
+    result.print();
+  }
+
+  return result.exitCode;
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+
+    if (error.code === 'CLI_USAGE') {
+      console.error('Run coleccion --help for usage');
+      return EXIT.usage;
+    }
+
+    if (error.code === 'USUARIO_NOT_FOUND') {
+      return EXIT.noEncontrado;
+    }
+
+    return EXIT.error;
+  })
+  .then(async (exitCode) => {
+    await pool.end().catch(() => {});
+    // A shared cache store keeps its connection open, so leave explicitly
+    process.exit(exitCode);
+  });
@@ -0,0 +1,251 @@
+// Read-through cache for the collection listings. Every cached read belongs to a namespace,
+// and each namespace has a generation counter that is part of its keys: a write bumps the
+// counters of the namespaces it makes stale, so their old entries are never read again and
+// simply age out.
+const { logger } = require('./logger');
+
+const CACHE_STORE = process.env.CACHE_STORE || 'memory';
+const CACHE_TTL_SECONDS = Number.parseInt(process.env.CACHE_TTL_SECONDS, 10) || 60;
+const CACHE_MAX_ENTRIES = Number.parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500;
+const KEY_PREFIX = 'coleccion_musical:cache';
+
+// In-process store that keeps at most maxEntries values, evicting the least recently used.
+// A Map iterates in insertion order, so re-inserting on every read keeps the oldest first.
+// Generation counters live apart from the values so eviction never resets them.
+function createMemoryStore({ maxEntries = CACHE_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  const counters = new Map();
+
+  return {
+    name: 'memory',
+    maxEntries,
+
+    async get(key) {
+      const entry = entries.get(key);
+
+      if (!entry) {
+        return null;
+      }
+
+      entries.delete(key);
+
+      if (entry.expiresAt <= Date.now()) {
+        return null;
+      }
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async getCounter(key) {
+      return counters.get(key) || 0;
+    },
+
+    async incr(key) {
+      const value = (counters.get(key) || 0) + 1;
+      counters.set(key, value);
+      return value;
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    async size() {
+      return entries.size;
+    }
+  };
+}
+
+// Store backed by a Redis-compatible client with the node-redis v4 API (get, set with PX,
+// incr, del, scanIterator), shared by every process pointing at the same server. A client
+// that is not open yet connects on first use, so scripts that never touch the cache can
+// exit; commands sent before it is ready fail and fall back to the database.
+function createRedisStore(client) {
+  const open = () => {
+    if (!client.isOpen) {
+      client.connect().catch(() => {});
+    }
+
+    return client;
+  };
+
+  return {
+    name: 'redis',
+    maxEntries: null,
+
+    get: async (key) => open().get(key),
+
+    set: async (key, value, ttlMs) => open().set(key, value, { PX: ttlMs }),
+
+    async getCounter(key) {
+      return Number.parseInt(await open().get(key), 10) || 0;
+    },
+
+    incr: async (key) => open().incr(key),
+
+    async clear() {
+      for await (const keys of open().scanIterator({ MATCH: `${KEY_PREFIX}:data:*` })) {
+        // node-redis v4 yields one key at a time, later versions yield batches
+        await client.del([].concat(keys));
+      }
+    },
+
+    // Counting would mean scanning the whole keyspace
+    async size() {
+      return null;
+    }
+  };
+}
+
+// Build the store selected by CACHE_STORE: memory (default), redis (needs the optional
+// redis package and REDIS_URL) or none to disable caching
+function createStoreFromEnv() {
+  if (CACHE_STORE === 'none') {
+    return null;
+  }
+
+  if (CACHE_STORE === 'memory') {
+    return createMemoryStore();
+  }
+
+  if (CACHE_STORE === 'redis') {
+    const { createClient } = require('redis');
+    // Without the offline queue commands fail at once while Redis is down, and the
+    // cache falls back to the database instead of waiting
+    const client = createClient({ url: process.env.REDIS_URL, disableOfflineQueue: true });
+
+    client.on('error', (error) => logger.warn('Cache store error', { error: error.message }));
+
+    return createRedisStore(client);
+  }
+
+  throw new Error(`Unknown CACHE_STORE "${CACHE_STORE}", use memory, redis or none`);
+}
+
+// Store failures are logged and the call goes to the database, so a broken cache only
+// costs speed
+function createCache({ store, ttlSeconds = CACHE_TTL_SECONDS } = {}) {
+  const counts = new Map();
+  const ttlMs = ttlSeconds * 1000;
+
+  const countsFor = (namespace) => {
+    if (!counts.has(namespace)) {
+      counts.set(namespace, { aciertos: 0, fallos: 0, invalidaciones: 0 });
+    }
+
+    return counts.get(namespace);
+  };
+
+  const generationKey = (namespace) => `${KEY_PREFIX}:gen:${namespace}`;
+
+  const warn = (error) => logger.warn('Cache store error', { error: error.message });
+
+  const invalidate = async (namespaces) => {
+    if (!store) {
+      return;
+    }
+
+    await Promise.all(
+      namespaces.map(async (namespace) => {
+        countsFor(namespace).invalidaciones += 1;
+        await store.incr(generationKey(namespace)).catch(warn);
+      })
+    );
+  };
+
+  return {
+    // Cache the results of fn under namespace, keyed by its arguments
+    wrap(namespace, fn) {
+      return async (...args) => {
+        if (!store) {
+          return fn(...args);
+        }
+
+        const namespaceCounts = countsFor(namespace);
+        let key;
+
+        try {
+          const generation = await store.getCounter(generationKey(namespace));
+          key = `${KEY_PREFIX}:data:${namespace}:${generation}:${JSON.stringify(args)}`;
+
+          const cached = await store.get(key);
+
+          if (cached !== null && cached !== undefined) {
+            namespaceCounts.aciertos += 1;
+            return JSON.parse(cached);
+          }
+        } catch (error) {
+          warn(error);
+          return fn(...args);
+        }
+
+        namespaceCounts.fallos += 1;
+        const result = await fn(...args);
+        await store.set(key, JSON.stringify(result), ttlMs).catch(warn);
+
+        return result;
+      };
+    },
+
+    // Invalidate namespaces once fn succeeds. namespaces may be a function of fn's
+    // arguments and result, returning the namespaces that actually went stale.
+    invalidating(namespaces, fn) {
+      return async (...args) => {
+        const result = await fn(...args);
+        const stale = typeof namespaces === 'function' ? namespaces(result, ...args) : namespaces;
+
+        await invalidate(stale);
+
+        return result;
+      };
+    },
+
+    invalidate: (...namespaces) => invalidate(namespaces),
+
+    async clear() {
+      if (store) {
+        await store.clear();
+      }
+    },
+
+    // Hit and miss counts are kept per process, even with a shared store
+    async getStats() {
+      const porEspacio = Object.fromEntries(counts);
+      const totals = [...counts.values()].reduce(
+        (sum, { aciertos, fallos }) => ({ aciertos: sum.aciertos + aciertos, fallos: sum.fallos + fallos }),
+        { aciertos: 0, fallos: 0 }
+      );
+      const lecturas = totals.aciertos + totals.fallos;
+
+      return {
+        store: store ? store.name : 'none',
+        ttl_segundos: ttlSeconds,
+        max_entradas: store ? store.maxEntries : null,
+        entradas: store ? await store.size().catch(() => null) : null,
+        aciertos: totals.aciertos,
+        fallos: totals.fallos,
+        tasa_aciertos: lecturas > 0 ? Number((totals.aciertos / lecturas).toFixed(4)) : null,
+        por_espacio: porEspacio
+      };
+    }
+  };
+}
+
+const cache = createCache({ store: createStoreFromEnv() });
+
+module.exports = {
+  cache,
+  createCache,
+  createMemoryStore,
+  createRedisStore
+};
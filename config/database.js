@@ -1,40 +1,171 @@
-const { Pool } = require('pg');
-
-// Database configuration - supports both individual env vars and DATABASE_URL
-let dbConfig;
+const Cursor = require('pg-cursor');
+const { cache } = require('./cache');
+const { DB_DRIVER, createPoolFromEnv } = require('./drivers');
+const { conPortada, eliminarPortadas } = require('../utils/portadas');
+const { SEPARADOR_GENEROS, normalizarGenero, splitGeneros } = require('../utils/generos');
+const { logger } = require('./logger');
+const { observeQuery, trackPool } = require('./metrics');
+
+// Queries taking at least this long are logged as warnings; the others only at debug level
+const DB_SLOW_QUERY_MS = Number.parseInt(process.env.DB_SLOW_QUERY_MS, 10) || 500;
+const TIMED = Symbol('timed');
+
+const sqlOperation = (text) => (/^\s*([a-z]+)/i.exec(text)?.[1] || 'unknown').toUpperCase();
+
+// Time every query run through the pool's clients for the logs and /metrics. Only the SQL
+// text is logged, never the values. Cursors are passed through untimed and synchronously:
+// the caller reads and closes the object query() returns, so it must not become a promise.
+function instrumentPool(driverPool) {
+  const timeQuery = (query) => {
+    const timed = async (text, values) => {
+      const operation = sqlOperation(text);
+      const start = process.hrtime.bigint();
+      const finish = (outcome, fields) => {
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        observeQuery({ operation, outcome, durationSeconds: durationMs / 1000 });
+
+        const slow = durationMs >= DB_SLOW_QUERY_MS;
+
+        if (slow || logger.isEnabled('debug')) {
+          logger[slow ? 'warn' : 'debug'](slow ? 'Slow database query' : 'Database query', {
+            operation,
+            outcome,
+            duration_ms: Number(durationMs.toFixed(2)),
+            query: text.replace(/\s+/g, ' ').trim().slice(0, 500),
+            ...fields
+          });
+        }
+      };
+
+      try {
+        const result = await query(text, values);
+        finish('ok', { rows: result.rowCount });
+        return result;
+      } catch (error) {
+        finish('error', { code: error.code });
+        throw error;
+      }
+    };
 
-if (process.env.DATABASE_URL) {
-  // Render provides DATABASE_URL for PostgreSQL
-  dbConfig = {
-    connectionString: process.env.DATABASE_URL,
-    ssl: {
-      rejectUnauthorized: false
-    }
+    return (text, values) => (typeof text === 'string' ? timed(text, values) : query(text, values));
   };
-} else {
-  // Fallback to individual environment variables
-  dbConfig = {
-    host: process.env.DB_HOST,
-    port: process.env.DB_PORT || 5432,
-    database: process.env.DB_NAME,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    ssl: {
-      rejectUnauthorized: false
+
+  return {
+    ...driverPool,
+
+    async connect() {
+      const client = await driverPool.connect();
+
+      // pg hands the same clients out again; wrap each one once
+      if (!client[TIMED]) {
+        client.query = timeQuery(client.query.bind(client));
+        client[TIMED] = true;
+      }
+
+      return client;
     }
   };
+}
 
-  // Validate required environment variables only if not using DATABASE_URL
-  const requiredEnvVars = ['DB_HOST', 'DB_NAME', 'DB_USER', 'DB_PASSWORD'];
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-
-  if (missingVars.length > 0) {
-    throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+// Connection pool of the driver picked by DB_DRIVER: PostgreSQL (default) or the embedded
+// database; see config/drivers.js
+const pool = instrumentPool(createPoolFromEnv());
+trackPool(pool.stats);
+
+// Pagination defaults and the columns each listing may be sorted by; limits above
+// MAX_PAGE_LIMIT are clamped
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 500;
+const EXPORT_BATCH_SIZE = 500;
+const ARTISTA_SORT_COLUMNS = ['id_artista', 'nombre', 'genero_musica'];
+const ALBUM_SORT_COLUMNS = ['id_album', 'titulo_album', 'anio_album', 'id_artista'];
+const ESTADISTICAS_TOP = 5;
+
+// Days a deleted artist or album stays in the papelera before purgarPapelera removes it for good
+const PAPELERA_RETENCION_DIAS = Number.parseInt(process.env.PAPELERA_RETENCION_DIAS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Build an ORDER BY clause from whitelisted columns only, with a unique tiebreaker
+// so that offset pagination stays stable across pages
+function buildOrderClause(allowedColumns, sort, order, defaultColumn, tiebreaker, tableAlias) {
+  const column = allowedColumns.includes(sort) ? sort : defaultColumn;
+  const direction = String(order).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+  const prefix = tableAlias ? `${tableAlias}.` : '';
+
+  if (column === tiebreaker) {
+    return `${prefix}${column} ${direction}`;
   }
+
+  return `${prefix}${column} ${direction}, ${prefix}${tiebreaker} ${direction}`;
 }
 
-// Create connection pool
-const pool = new Pool(dbConfig);
+// Fuzzy search tuning: hits scoring below the threshold are discarded, and a name
+// lookup only falls back automatically to a match scoring at least the auto threshold
+const SEARCH_SIMILARITY_THRESHOLD = Number.parseFloat(process.env.SEARCH_SIMILARITY_THRESHOLD) || 0.3;
+const SEARCH_AUTO_MATCH_THRESHOLD = Number.parseFloat(process.env.SEARCH_AUTO_MATCH_THRESHOLD) || 0.6;
+const SEARCH_GENRE_WEIGHT = 0.8;
+
+// Lower-case and strip accents so "Beyonce" and "beyoncé" compare equal (requires unaccent)
+const normalizeSql = (expression) => `unaccent(lower(${expression}))`;
+
+// Relevance score between 0 and 1 for a column against the normalized term in $1:
+// exact match first, then substring match, then trigram word similarity (requires pg_trgm)
+const matchScoreSql = (column) => `
+  CASE
+    WHEN ${normalizeSql(column)} = ${normalizeSql('$1')} THEN 1.0
+    WHEN strpos(${normalizeSql(column)}, ${normalizeSql('$1')}) > 0 THEN 0.9
+    ELSE word_similarity(${normalizeSql('$1')}, ${normalizeSql(column)})
+  END
+`;
+
+// Total running time of each album, computed from its canciones; join it as "dur"
+// and select COALESCE(dur.duracion_total_segundos, 0)
+const albumDurationJoinSql = (albumIdColumn) => `
+  LEFT JOIN (
+    SELECT id_album, SUM(duracion_segundos)::int AS duracion_total_segundos
+    FROM canciones
+    GROUP BY id_album
+  ) dur ON dur.id_album = ${albumIdColumn}
+`;
+
+// Average rating (2 decimals, null without reviews) and review count of each album; join
+// it as "val" and select COALESCE(val.total_resenas, 0)
+const albumRatingJoinSql = (albumIdColumn) => `
+  LEFT JOIN (
+    SELECT id_album, ROUND(AVG(puntuacion), 2)::float AS valoracion_media, COUNT(*)::int AS total_resenas
+    FROM resenas
+    GROUP BY id_album
+  ) val ON val.id_album = ${albumIdColumn}
+`;
+
+// Artists linked to the genre named by parameter $index, principal or not
+const artistasConGeneroSql = (index) => `
+  SELECT ag.id_artista
+  FROM artista_generos ag
+  JOIN generos g ON g.id_genero = ag.id_genero
+  WHERE LOWER(g.nombre) = LOWER($${index})
+`;
+
+// Domain errors for the unique indexes a write can run into, by index name, as [code, message]
+const UNIQUE_VIOLATIONS = {
+  artista_nombre_unique_ci: ['ARTISTA_DUPLICATE_NAME', 'Artist name already exists'],
+  albumes_titulo_unique_ci: ['ALBUM_TITLE_EXISTS', 'Album title already exists'],
+  generos_nombre_unique_ci: ['GENERO_DUPLICATE_NAME', 'Genre name already exists']
+};
+
+// The domain error for a unique violation (23505) on one of UNIQUE_VIOLATIONS, or null for
+// any other error
+const uniqueViolationError = (error) => {
+  const violation = error.code === '23505' && UNIQUE_VIOLATIONS[error.constraint];
+
+  if (!violation) {
+    return null;
+  }
+
+  const duplicateError = new Error(violation[1]);
+  duplicateError.code = violation[0];
+  return duplicateError;
+};
 
 // Test database connection
 async function testDatabaseConnection() {
@@ -49,8 +180,7 @@ async function testDatabaseConnection() {
       connected: true,
       currentTime: result.rows[0].current_time,
       postgresVersion: result.rows[0].postgres_version,
-      host: dbConfig.host,
-      database: dbConfig.database
+      ...pool.info
     };
   } catch (error) {
     throw new Error(`Database connection failed: ${error.message}`);
@@ -61,12 +191,91 @@ async function testDatabaseConnection() {
   }
 }
 
-// Retrieve musical collection grouped by artist
-async function getColeccionMusical() {
+// Time a trivial query for the health checks. Gives up after timeoutMs, so a hung server or
+// a pool with no free connection fails the check instead of stalling it; a connection that
+// turns up later is still released.
+async function pingDatabase({ timeoutMs = 2000 } = {}) {
+  const start = process.hrtime.bigint();
+  let timer;
+
+  const ping = (async () => {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT 1');
+    } finally {
+      client.release();
+    }
+  })();
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Database did not answer within ${timeoutMs} ms`);
+      error.code = 'DB_TIMEOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  // The ping may still fail after the timeout has answered
+  ping.catch(() => {});
+
+  try {
+    await Promise.race([ping, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return { latency_ms: Number((Number(process.hrtime.bigint() - start) / 1e6).toFixed(2)) };
+}
+
+// Retrieve musical collection grouped by artist, optionally nesting each album's canciones.
+// With idUsuario only the albums that user owns are listed, with their ownership details,
+// and artists without any of them are left out.
+async function getColeccionMusical({ incluirCanciones = false, idUsuario } = {}) {
   let client;
   try {
     client = await pool.connect();
 
+    const propiedadFields = idUsuario
+      ? `,
+              'fecha_adquisicion', ua.fecha_adquisicion,
+              'precio_compra', ua.precio_compra,
+              'notas', ua.notas,
+              'agregado_en', ua.agregado_en`
+      : '';
+
+    const albumesJoin = idUsuario
+      ? `
+      JOIN albumes al ON al.id_artista = a.id_artista AND al.eliminado_en IS NULL
+      JOIN usuario_albumes ua ON ua.id_album = al.id_album AND ua.id_usuario = $1`
+      : `
+      LEFT JOIN albumes al ON al.id_artista = a.id_artista AND al.eliminado_en IS NULL`;
+
+    const cancionesField = incluirCanciones
+      ? `,
+              'canciones', COALESCE(pistas.canciones, '[]'::json)`
+      : '';
+
+    const cancionesJoin = incluirCanciones
+      ? `
+      LEFT JOIN (
+        SELECT
+          c.id_album,
+          json_agg(
+            json_build_object(
+              'id_cancion', c.id_cancion,
+              'id_album', c.id_album,
+              'numero_disco', c.numero_disco,
+              'numero_pista', c.numero_pista,
+              'titulo_cancion', c.titulo_cancion,
+              'duracion_segundos', c.duracion_segundos
+            )
+            ORDER BY c.numero_disco, c.numero_pista
+          ) AS canciones
+        FROM canciones c
+        GROUP BY c.id_album
+      ) pistas ON pistas.id_album = al.id_album`
+      : '';
+
     const result = await client.query(`
       SELECT
         a.id_artista,
@@ -77,22 +286,25 @@ async function getColeccionMusical() {
             json_build_object(
               'id_album', al.id_album,
               'titulo_album', al.titulo_album,
-              'anio_album', al.anio_album
+              'anio_album', al.anio_album,
+              'portada', al.portada,
+              'duracion_total_segundos', COALESCE(dur.duracion_total_segundos, 0)${cancionesField}${propiedadFields}
             )
           ) FILTER (WHERE al.id_album IS NOT NULL),
           '[]'::json
         ) AS albumes
-      FROM artista a
-      LEFT JOIN albumes al ON al.id_artista = a.id_artista
+      FROM artista a${albumesJoin}
+      ${albumDurationJoinSql('al.id_album')}${cancionesJoin}
+      WHERE a.eliminado_en IS NULL
       GROUP BY a.id_artista, a.nombre, a.genero_musica
       ORDER BY a.nombre;
-    `);
+    `, idUsuario ? [idUsuario] : []);
 
     return result.rows.map(row => ({
       id_artista: row.id_artista,
       nombre: row.nombre,
       genero_musica: row.genero_musica,
-      albumes: row.albumes ?? []
+      albumes: (row.albumes ?? []).map(conPortada)
     }));
   } catch (error) {
     throw new Error(`Failed to fetch musical collection: ${error.message}`);
@@ -103,45 +315,109 @@ async function getColeccionMusical() {
   }
 }
 
-// Retrieve all artists without album aggregation
-async function getArtistas() {
+// Stream the collection as flat rows, one per album (artists without albums get a single
+// row with null album fields), ordered so each artist's rows are consecutive. genero_musica
+// lists all the artist's genres, principal first, so importing the export restores them.
+// Rows are read from a cursor in batches; the connection is released when iteration ends or
+// is abandoned.
+async function* streamColeccionMusical({ batchSize = EXPORT_BATCH_SIZE } = {}) {
   let client;
+  let cursor;
   try {
     client = await pool.connect();
-
-    const result = await client.query(
-      `SELECT id_artista, nombre, genero_musica FROM artista ORDER BY nombre`
+    cursor = client.query(
+      new Cursor(`
+        SELECT
+          a.id_artista,
+          a.nombre,
+          COALESCE(gen.generos, a.genero_musica) AS genero_musica,
+          al.id_album,
+          al.titulo_album,
+          al.anio_album
+        FROM artista a
+        LEFT JOIN (
+          SELECT ag.id_artista, string_agg(g.nombre, $1 ORDER BY ag.principal DESC, LOWER(g.nombre)) AS generos
+          FROM artista_generos ag
+          JOIN generos g ON g.id_genero = ag.id_genero
+          GROUP BY ag.id_artista
+        ) gen ON gen.id_artista = a.id_artista
+        LEFT JOIN albumes al ON al.id_artista = a.id_artista AND al.eliminado_en IS NULL
+        WHERE a.eliminado_en IS NULL
+        ORDER BY a.nombre, a.id_artista, al.anio_album, al.id_album
+      `, [SEPARADOR_GENEROS])
     );
 
-    return result.rows;
+    let rows;
+    do {
+      rows = await cursor.read(batchSize);
+      yield* rows;
+    } while (rows.length === batchSize);
   } catch (error) {
-    throw new Error(`Failed to fetch artistas: ${error.message}`);
+    throw new Error(`Failed to export musical collection: ${error.message}`);
   } finally {
+    let closeError;
+
+    try {
+      if (cursor) {
+        await cursor.close();
+      }
+    } catch (error) {
+      closeError = error;
+      logger.warn('Could not close the export cursor', { error: error.message });
+    }
+
+    // A connection whose cursor did not close is discarded rather than reused
     if (client) {
-      client.release();
+      client.release(closeError);
     }
   }
 }
 
-// Find single artist by name (case-insensitive)
-async function findArtistaPorNombre(nombre) {
+// Retrieve a page of artists without album aggregation
+async function getArtistas({
+  limit = DEFAULT_PAGE_LIMIT,
+  offset = 0,
+  sort = 'nombre',
+  order = 'asc',
+  genero_musica
+} = {}) {
   let client;
   try {
     client = await pool.connect();
 
+    const conditions = ['eliminado_en IS NULL'];
+    const values = [];
+
+    if (typeof genero_musica === 'string') {
+      values.push(genero_musica);
+      conditions.push(`id_artista IN (${artistasConGeneroSql(values.length)})`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const orderClause = buildOrderClause(ARTISTA_SORT_COLUMNS, sort, order, 'nombre', 'id_artista');
+
+    const countResult = await client.query(
+      `SELECT COUNT(*)::int AS total FROM artista ${whereClause}`,
+      values
+    );
+
     const result = await client.query(
       `
         SELECT id_artista, nombre, genero_musica
         FROM artista
-        WHERE LOWER(nombre) = LOWER($1)
-        LIMIT 1
+        ${whereClause}
+        ORDER BY ${orderClause}
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
       `,
-      [nombre]
+      [...values, Math.min(limit, MAX_PAGE_LIMIT), offset]
     );
 
-    return result.rows[0] || null;
+    return {
+      artistas: result.rows,
+      total: countResult.rows[0].total
+    };
   } catch (error) {
-    throw new Error(`Failed to find artista by nombre: ${error.message}`);
+    throw new Error(`Failed to fetch artistas: ${error.message}`);
   } finally {
     if (client) {
       client.release();
@@ -149,24 +425,24 @@ async function findArtistaPorNombre(nombre) {
   }
 }
 
-// Create a new artist
-async function createArtista({ nombre, genero_musica }) {
+// Retrieve a single live artist with its version
+async function getArtistaPorId(idArtista) {
   let client;
   try {
     client = await pool.connect();
 
     const result = await client.query(
       `
-        INSERT INTO artista (nombre, genero_musica)
-        VALUES ($1, $2)
-        RETURNING id_artista, nombre, genero_musica
+        SELECT id_artista, nombre, genero_musica, version
+        FROM artista
+        WHERE id_artista = $1 AND eliminado_en IS NULL
       `,
-      [nombre, genero_musica]
+      [idArtista]
     );
 
-    return result.rows[0];
+    return result.rows[0] || null;
   } catch (error) {
-    throw new Error(`Failed to create artista: ${error.message}`);
+    throw new Error(`Failed to fetch artista: ${error.message}`);
   } finally {
     if (client) {
       client.release();
@@ -174,54 +450,25 @@ async function createArtista({ nombre, genero_musica }) {
   }
 }
 
-// Update existing artist
-async function updateArtista(idArtista, { nombre, genero_musica }) {
+// Find single artist by name (case-insensitive)
+async function findArtistaPorNombre(nombre) {
   let client;
   try {
     client = await pool.connect();
 
-    const fields = [];
-    const values = [];
-
-    if (typeof nombre === 'string') {
-      fields.push('nombre');
-      values.push(nombre);
-    }
-
-    if (typeof genero_musica === 'string') {
-      fields.push('genero_musica');
-      values.push(genero_musica);
-    }
-
-    if (fields.length === 0) {
-      throw new Error('No update fields provided');
-    }
-
-    const setClause = fields
-      .map((field, index) => `${field} = $${index + 1}`)
-      .join(', ');
-
-    values.push(idArtista);
-
     const result = await client.query(
       `
-        UPDATE artista
-        SET ${setClause}
-        WHERE id_artista = $${values.length}
-        RETURNING id_artista, nombre, genero_musica
+        SELECT id_artista, nombre, genero_musica
+        FROM artista
+        WHERE LOWER(nombre) = LOWER($1) AND eliminado_en IS NULL
+        LIMIT 1
       `,
-      values
+      [nombre]
     );
 
     return result.rows[0] || null;
   } catch (error) {
-    if (error.code === '23505') {
-      const duplicateError = new Error('Artist name already exists');
-      duplicateError.code = 'ARTISTA_DUPLICATE_NAME';
-      throw duplicateError;
-    }
-
-    throw error;
+    throw new Error(`Failed to find artista by nombre: ${error.message}`);
   } finally {
     if (client) {
       client.release();
@@ -229,27 +476,30 @@ async function updateArtista(idArtista, { nombre, genero_musica }) {
   }
 }
 
-// Retrieve all albumes
-async function getAlbumes() {
+// Find artists whose name resembles the given one, best match first
+async function findArtistasSimilares(nombre, { limit = 5 } = {}) {
   let client;
   try {
     client = await pool.connect();
 
     const result = await client.query(
       `
-        SELECT
-          id_album,
-          titulo_album,
-          anio_album,
-          id_artista
-        FROM albumes
-        ORDER BY titulo_album
-      `
+        SELECT *
+        FROM (
+          SELECT id_artista, nombre, genero_musica, (${matchScoreSql('nombre')})::float AS puntuacion
+          FROM artista
+          WHERE eliminado_en IS NULL
+        ) candidatos
+        WHERE puntuacion >= $2::float
+        ORDER BY puntuacion DESC, nombre
+        LIMIT $3
+      `,
+      [nombre, SEARCH_SIMILARITY_THRESHOLD, limit]
     );
 
-    return result.rows;
+    return result.rows.map(({ puntuacion, ...artista }) => ({ artista, puntuacion }));
   } catch (error) {
-    throw new Error(`Failed to fetch albumes: ${error.message}`);
+    throw new Error(`Failed to find similar artistas: ${error.message}`);
   } finally {
     if (client) {
       client.release();
@@ -257,29 +507,83 @@ async function getAlbumes() {
   }
 }
 
-// Retrieve albums for a specific artist
-async function getAlbumesPorArtista(idArtista) {
+// Search artist names, genres and album titles at once, returning typed hits by relevance
+async function buscarColeccion(termino, { limit = 20, tipo } = {}) {
   let client;
   try {
     client = await pool.connect();
 
-    const result = await client.query(
-      `
-        SELECT
-          id_album,
-          titulo_album,
-          anio_album,
-          id_artista
-        FROM albumes
-        WHERE id_artista = $1
-        ORDER BY titulo_album
-      `,
-      [idArtista]
-    );
+    const hits = [];
+
+    if (!tipo || tipo === 'artista') {
+      const artistas = await client.query(
+        `
+          SELECT *
+          FROM (
+            SELECT
+              id_artista,
+              nombre,
+              genero_musica,
+              (${matchScoreSql('nombre')})::float AS puntuacion_nombre,
+              (${matchScoreSql('genero_musica')})::float * ${SEARCH_GENRE_WEIGHT} AS puntuacion_genero
+            FROM artista
+            WHERE eliminado_en IS NULL
+          ) candidatos
+          WHERE GREATEST(puntuacion_nombre, puntuacion_genero) >= $2::float
+          ORDER BY GREATEST(puntuacion_nombre, puntuacion_genero) DESC, nombre
+          LIMIT $3
+        `,
+        [termino, SEARCH_SIMILARITY_THRESHOLD, limit]
+      );
 
-    return result.rows;
+      artistas.rows.forEach(({ puntuacion_nombre, puntuacion_genero, ...artista }) => {
+        hits.push({
+          tipo: 'artista',
+          coincidencia: puntuacion_nombre >= puntuacion_genero ? 'nombre' : 'genero_musica',
+          puntuacion: Math.max(puntuacion_nombre, puntuacion_genero),
+          artista
+        });
+      });
+    }
+
+    if (!tipo || tipo === 'album') {
+      const albumes = await client.query(
+        `
+          SELECT *
+          FROM (
+            SELECT
+              al.id_album,
+              al.titulo_album,
+              al.anio_album,
+              al.id_artista,
+              ar.nombre AS nombre_artista,
+              (${matchScoreSql('al.titulo_album')})::float AS puntuacion
+            FROM albumes al
+            JOIN artista ar ON ar.id_artista = al.id_artista
+            WHERE al.eliminado_en IS NULL
+          ) candidatos
+          WHERE puntuacion >= $2::float
+          ORDER BY puntuacion DESC, titulo_album
+          LIMIT $3
+        `,
+        [termino, SEARCH_SIMILARITY_THRESHOLD, limit]
+      );
+
+      albumes.rows.forEach(({ puntuacion, ...album }) => {
+        hits.push({
+          tipo: 'album',
+          coincidencia: 'titulo_album',
+          puntuacion,
+          album
+        });
+      });
+    }
+
+    return hits
+      .sort((a, b) => b.puntuacion - a.puntuacion)
+      .slice(0, limit);
   } catch (error) {
-    throw new Error(`Failed to fetch albumes for artista: ${error.message}`);
+    throw new Error(`Failed to search coleccion: ${error.message}`);
   } finally {
     if (client) {
       client.release();
@@ -287,43 +591,133 @@ async function getAlbumesPorArtista(idArtista) {
   }
 }
 
-// Create a new album
-async function createAlbum({ titulo_album, anio_album, id_artista }) {
+// Collection statistics, all computed in SQL over live artists and albums. genero_musica
+// keeps the artists with that genre, principal or not, and their albums; anio_desde and
+// anio_hasta keep the albums released in that range, so "without albums" then means without
+// albums in the range. Genre breakdowns use each artist's principal genre, so they add up to
+// the totals. top caps the ranking and the oldest and newest album lists; the artists
+// without albums are listed up to MAX_PAGE_LIMIT, their total is in totales.
+async function getEstadisticas({ genero_musica, anio_desde, anio_hasta, top = ESTADISTICAS_TOP } = {}) {
   let client;
   try {
     client = await pool.connect();
 
-    // Prevent duplicate titles (case-insensitive)
-    const duplicate = await client.query(
-      `SELECT id_album FROM albumes WHERE LOWER(titulo_album) = LOWER($1) LIMIT 1`,
-      [titulo_album]
-    );
+    const artistaConditions = ['eliminado_en IS NULL'];
+    const albumConditions = ['al.eliminado_en IS NULL'];
+    const values = [];
 
-    if (duplicate.rowCount > 0) {
-      const error = new Error('Album title already exists');
-      error.code = 'ALBUM_TITLE_EXISTS';
-      throw error;
+    if (typeof genero_musica === 'string') {
+      values.push(genero_musica);
+      artistaConditions.push(`id_artista IN (${artistasConGeneroSql(values.length)})`);
     }
 
-    const result = await client.query(
+    if (Number.isInteger(anio_desde)) {
+      values.push(anio_desde);
+      albumConditions.push(`al.anio_album >= $${values.length}`);
+    }
+
+    if (Number.isInteger(anio_hasta)) {
+      values.push(anio_hasta);
+      albumConditions.push(`al.anio_album <= $${values.length}`);
+    }
+
+    // Every query starts from the same filtered artists (ar) and albums (al)
+    const scopeSql = `
+      WITH ar AS (
+        SELECT id_artista, nombre, genero_musica
+        FROM artista
+        WHERE ${artistaConditions.join(' AND ')}
+      ),
+      al AS (
+        SELECT al.id_album, al.titulo_album, al.anio_album, al.id_artista, ar.nombre
+        FROM albumes al
+        JOIN ar ON ar.id_artista = al.id_artista
+        WHERE ${albumConditions.join(' AND ')}
+      )
+    `;
+    const query = (sql, extraValues = []) => client.query(`${scopeSql} ${sql}`, [...values, ...extraValues]);
+    const topParam = `$${values.length + 1}`;
+
+    const totales = await query(`
+      SELECT
+        (SELECT COUNT(*) FROM ar)::int AS artistas,
+        COUNT(*)::int AS albumes,
+        (SELECT COUNT(*) FROM ar WHERE id_artista NOT IN (SELECT id_artista FROM al))::int AS artistas_sin_albumes,
+        MIN(anio_album) AS anio_min,
+        MAX(anio_album) AS anio_max
+      FROM al
+    `);
+    const porDecada = await query(`
+      SELECT (anio_album / 10) * 10 AS decada, COUNT(*)::int AS albumes
+      FROM al
+      GROUP BY (anio_album / 10) * 10
+      ORDER BY decada
+    `);
+    const porAnio = await query(`
+      SELECT anio_album AS anio, COUNT(*)::int AS albumes
+      FROM al
+      GROUP BY anio_album
+      ORDER BY anio_album
+    `);
+    const porGenero = await query(`
+      SELECT ar.genero_musica, COUNT(DISTINCT ar.id_artista)::int AS artistas, COUNT(al.id_album)::int AS albumes
+      FROM ar
+      LEFT JOIN al ON al.id_artista = ar.id_artista
+      GROUP BY ar.genero_musica
+      ORDER BY albumes DESC, artistas DESC, ar.genero_musica
+    `);
+    const topArtistas = await query(
       `
-        INSERT INTO albumes (titulo_album, anio_album, id_artista)
-        VALUES ($1, $2, $3)
-        RETURNING id_album, titulo_album, anio_album, id_artista
+        SELECT ar.id_artista, ar.nombre, ar.genero_musica, COUNT(al.id_album)::int AS albumes
+        FROM ar
+        JOIN al ON al.id_artista = ar.id_artista
+        GROUP BY ar.id_artista, ar.nombre, ar.genero_musica
+        ORDER BY albumes DESC, ar.nombre, ar.id_artista
+        LIMIT ${topParam}
       `,
-      [titulo_album, anio_album, id_artista]
+      [top]
+    );
+    const masAntiguos = await query(
+      `
+        SELECT id_album, titulo_album, anio_album, id_artista, nombre
+        FROM al
+        ORDER BY anio_album, id_album
+        LIMIT ${topParam}
+      `,
+      [top]
+    );
+    const masRecientes = await query(
+      `
+        SELECT id_album, titulo_album, anio_album, id_artista, nombre
+        FROM al
+        ORDER BY anio_album DESC, id_album DESC
+        LIMIT ${topParam}
+      `,
+      [top]
+    );
+    const sinAlbumes = await query(
+      `
+        SELECT id_artista, nombre, genero_musica
+        FROM ar
+        WHERE id_artista NOT IN (SELECT id_artista FROM al)
+        ORDER BY nombre, id_artista
+        LIMIT ${topParam}
+      `,
+      [MAX_PAGE_LIMIT]
     );
 
-    return result.rows[0];
+    return {
+      totales: totales.rows[0],
+      albumes_por_decada: porDecada.rows,
+      albumes_por_anio: porAnio.rows,
+      por_genero: porGenero.rows,
+      top_artistas: topArtistas.rows,
+      albumes_mas_antiguos: masAntiguos.rows,
+      albumes_mas_recientes: masRecientes.rows,
+      artistas_sin_albumes: sinAlbumes.rows
+    };
   } catch (error) {
-    if (error.code === '23503') {
-      // Foreign key violation
-      const fkError = new Error('Specified artista does not exist');
-      fkError.code = 'ARTISTA_NOT_FOUND';
-      throw fkError;
-    }
-
-    throw error;
+    throw new Error(`Failed to compute estadisticas: ${error.message}`);
   } finally {
     if (client) {
       client.release();
@@ -331,128 +725,780 @@ async function createAlbum({ titulo_album, anio_album, id_artista }) {
   }
 }
 
-// Update existing album
-async function updateAlbum(idAlbum, { titulo_album, anio_album, id_artista }) {
-  let client;
-  try {
-    client = await pool.connect();
+// Audit entries record the acting user, taken from req.usuario; null actors are scripts
+// such as the purge job. Entries are written with the caller's client, inside its transaction.
+async function registrarAuditoria(client, actor, entradas) {
+  if (entradas.length === 0) {
+    return;
+  }
 
-    const fields = [];
-    const values = [];
+  const values = [];
+  const rows = entradas.map(({ entidad, idEntidad, accion, antes = null, despues = null, revierteA = null }) => {
+    values.push(
+      entidad,
+      idEntidad,
+      accion,
+      antes === null ? null : JSON.stringify(antes),
+      despues === null ? null : JSON.stringify(despues),
+      actor?.id_usuario ?? null,
+      actor?.email ?? null,
+      revierteA
+    );
+    const offset = values.length - 8;
+    return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}::jsonb, $${offset + 5}::jsonb, $${offset + 6}, $${offset + 7}, $${offset + 8})`;
+  });
+
+  await client.query(
+    `
+      INSERT INTO auditoria (entidad, id_entidad, accion, antes, despues, id_usuario, email_usuario, revierte_a)
+      VALUES ${rows.join(', ')}
+    `,
+    values
+  );
+}
 
-    if (typeof titulo_album === 'string') {
-      // Check for duplicate titles excluding current album
-      const duplicate = await client.query(
-        `SELECT id_album FROM albumes WHERE LOWER(titulo_album) = LOWER($1) AND id_album <> $2 LIMIT 1`,
-        [titulo_album, idAlbum]
-      );
+// Fields whose value differs between two versions, as { campo: { antes, despues } }
+function diffVersiones(antes, despues) {
+  const campos = new Set([...Object.keys(antes || {}), ...Object.keys(despues || {})]);
 
-      if (duplicate.rowCount > 0) {
-        const error = new Error('Album title already exists');
-        error.code = 'ALBUM_TITLE_EXISTS';
-        throw error;
-      }
+  return [...campos].reduce((cambios, campo) => {
+    const valorAntes = antes ? antes[campo] ?? null : null;
+    const valorDespues = despues ? despues[campo] ?? null : null;
 
-      fields.push('titulo_album');
-      values.push(titulo_album);
+    if (JSON.stringify(valorAntes) !== JSON.stringify(valorDespues)) {
+      cambios[campo] = { antes: valorAntes, despues: valorDespues };
     }
 
-    if (Number.isInteger(anio_album)) {
-      fields.push('anio_album');
-      values.push(anio_album);
-    }
+    return cambios;
+  }, {});
+}
 
-    if (Number.isInteger(id_artista)) {
-      fields.push('id_artista');
-      values.push(id_artista);
-    }
+// Writes sent with If-Match fail once the row has moved on to another version; the
+// error carries the current row so the caller can show it
+function assertVersionEsperada(row, versionesEsperadas) {
+  if (versionesEsperadas && !versionesEsperadas.includes(row.version)) {
+    const error = new Error('Version does not match');
+    error.code = 'VERSION_MISMATCH';
+    error.actual = row;
+    throw error;
+  }
+}
 
-    if (fields.length === 0) {
-      throw new Error('No update fields provided');
-    }
+// The catalogue genre matching a normalised name, created when missing. A request adding
+// the same genre at the same time wins the insert and its row is used. Runs inside the
+// caller's transaction.
+async function resolverGenero(client, nombre) {
+  const buscar = () => client.query(
+    'SELECT id_genero, nombre FROM generos WHERE LOWER(nombre) = LOWER($1)',
+    [nombre]
+  );
+  const existing = await buscar();
+
+  if (existing.rowCount > 0) {
+    return existing.rows[0];
+  }
 
-    const setClause = fields
-      .map((field, index) => `${field} = $${index + 1}`)
-      .join(', ');
+  const inserted = await client.query(
+    `
+      INSERT INTO generos (nombre) VALUES ($1)
+      ON CONFLICT ((LOWER(nombre))) DO NOTHING
+      RETURNING id_genero, nombre
+    `,
+    [nombre]
+  );
 
-    values.push(idAlbum);
+  return inserted.rowCount > 0 ? inserted.rows[0] : (await buscar()).rows[0];
+}
 
-    const result = await client.query(
-      `
-        UPDATE albumes
-        SET ${setClause}
-        WHERE id_album = $${values.length}
-        RETURNING id_album, titulo_album, anio_album, id_artista
-      `,
-      values
-    );
+// The catalogue genres named in free-text values, each split with splitGeneros as migration
+// 009 did, in order and without repeats
+async function resolverGeneros(client, textos) {
+  const generos = [];
 
-    if (result.rowCount === 0) {
-      return null;
-    }
+  for (const nombre of textos.flatMap(splitGeneros)) {
+    const genero = await resolverGenero(client, nombre);
 
-    return result.rows[0];
-  } catch (error) {
-    if (error.code === '23503') {
-      const fkError = new Error('Specified artista does not exist');
-      fkError.code = 'ARTISTA_NOT_FOUND';
-      throw fkError;
+    if (!generos.some(({ id_genero }) => id_genero === genero.id_genero)) {
+      generos.push(genero);
     }
+  }
 
-    throw error;
-  } finally {
-    if (client) {
-      client.release();
-    }
+  if (generos.length === 0) {
+    throw new Error('No genre names provided');
   }
+
+  return generos;
+}
+
+// Names of an artist's genres, the principal one first
+async function getNombresGeneros(client, idArtista) {
+  const result = await client.query(
+    `
+      SELECT g.nombre
+      FROM artista_generos ag
+      JOIN generos g ON g.id_genero = ag.id_genero
+      WHERE ag.id_artista = $1
+      ORDER BY ag.principal DESC, LOWER(g.nombre)
+    `,
+    [idArtista]
+  );
+
+  return result.rows.map(row => row.nombre);
 }
 
+// Make a genre the artist's principal one, dropping the previous principal
+async function setGeneroPrincipal(client, idArtista, idGenero) {
+  await client.query(
+    'DELETE FROM artista_generos WHERE id_artista = $1 AND (principal OR id_genero = $2)',
+    [idArtista, idGenero]
+  );
+  await client.query(
+    'INSERT INTO artista_generos (id_artista, id_genero, principal) VALUES ($1, $2, TRUE)',
+    [idArtista, idGenero]
+  );
+}
+
+// Replace all the genres of an artist; the first one is the principal one
+async function replaceGenerosArtista(client, idArtista, generos) {
+  const values = [idArtista];
+  const rows = generos.map(({ id_genero }, index) => {
+    values.push(id_genero);
+    return `($1, $${values.length}, ${index === 0 ? 'TRUE' : 'FALSE'})`;
+  });
+
+  await client.query('DELETE FROM artista_generos WHERE id_artista = $1', [idArtista]);
+  await client.query(
+    `INSERT INTO artista_generos (id_artista, id_genero, principal) VALUES ${rows.join(', ')}`,
+    values
+  );
+}
 
-// Delete existing album
-async function deleteAlbum(idAlbum) {
+// Create a new artist. genero_musica names its genres, the principal one first, taken from
+// the catalogue (or added to it); it is stored as the principal genre's catalogue spelling.
+async function createArtista({ nombre, genero_musica }, { actor } = {}) {
   let client;
   try {
     client = await pool.connect();
+    await client.query('BEGIN');
 
+    const generos = await resolverGeneros(client, [genero_musica]);
     const result = await client.query(
-      'DELETE FROM albumes WHERE id_album = $1 RETURNING id_album, titulo_album, anio_album, id_artista',
-      [idAlbum]
+      `
+        INSERT INTO artista (nombre, genero_musica)
+        VALUES ($1, $2)
+        RETURNING id_artista, nombre, genero_musica, version
+      `,
+      [nombre, generos[0].nombre]
     );
+    const artista = result.rows[0];
 
-    return result.rows[0] || null;
+    await replaceGenerosArtista(client, artista.id_artista, generos);
+
+    await registrarAuditoria(client, actor, [
+      { entidad: 'artista', idEntidad: artista.id_artista, accion: 'crear', despues: artista }
+    ]);
+    await client.query('COMMIT');
+
+    return artista;
   } catch (error) {
-    if (error.code === '23503') {
-      const fkError = new Error('Cannot delete album with related records');
-      fkError.code = 'ALBUM_HAS_DEPENDENCIES';
-      throw fkError;
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
     }
 
-    throw error;
+    const duplicateError = uniqueViolationError(error);
+
+    if (duplicateError) {
+      throw duplicateError;
+    }
+
+    throw new Error(`Failed to create artista: ${error.message}`);
   } finally {
     if (client) {
       client.release();
     }
   }
 }
-// Delete existing artist
-async function deleteArtista(idArtista) {
-  let client;
-  try {
-    client = await pool.connect();
 
-    const result = await client.query(
-      'DELETE FROM artista WHERE id_artista = $1 RETURNING id_artista, nombre, genero_musica',
+// Change fields of a live artist and audit it, inside the caller's transaction. Only
+// fields whose value differs are written, and only then does the version go up.
+// genero_musica naming one genre replaces the principal genre; generos, a list of genre
+// names, replaces all of them, as does a genero_musica naming several. The new list is
+// recorded in the audit entry so reverting it restores the list.
+// Returns null when the artist does not exist or is in the trash.
+async function applyArtistaUpdate(
+  client,
+  idArtista,
+  { nombre, genero_musica, generos },
+  { actor, accion = 'actualizar', revierteA, versionesEsperadas }
+) {
+  const current = await client.query(
+    `
+      SELECT id_artista, nombre, genero_musica, version
+      FROM artista
+      WHERE id_artista = $1 AND eliminado_en IS NULL
+      FOR UPDATE
+    `,
+    [idArtista]
+  );
+
+  if (current.rowCount === 0) {
+    return null;
+  }
+
+  const antes = current.rows[0];
+  assertVersionEsperada(antes, versionesEsperadas);
+
+  const fields = [];
+  const values = [];
+  let generosNuevos = null;
+  let generoPrincipal = null;
+
+  if (typeof nombre === 'string') {
+    fields.push('nombre');
+    values.push(nombre);
+  }
+
+  const nombresGeneros = Array.isArray(generos)
+    ? generos
+    : typeof genero_musica === 'string' && splitGeneros(genero_musica).length > 1 && [genero_musica];
+
+  if (nombresGeneros) {
+    generosNuevos = await resolverGeneros(client, nombresGeneros);
+    antes.generos = await getNombresGeneros(client, idArtista);
+    generoPrincipal = generosNuevos[0];
+  } else if (typeof genero_musica === 'string') {
+    [generoPrincipal] = await resolverGeneros(client, [genero_musica]);
+  }
+
+  if (generoPrincipal) {
+    fields.push('genero_musica');
+    values.push(generoPrincipal.nombre);
+  }
+
+  if (fields.length === 0) {
+    throw new Error('No update fields provided');
+  }
+
+  const changed = fields.filter((field, index) => antes[field] !== values[index]);
+  const nombresNuevos = generosNuevos && generosNuevos.map(genero => genero.nombre);
+  // Same principal genre and the same others, in any order
+  const generosChanged = Boolean(nombresNuevos) && (
+    nombresNuevos.length !== antes.generos.length ||
+    nombresNuevos[0] !== antes.generos[0] ||
+    nombresNuevos.some(genero => !antes.generos.includes(genero))
+  );
+
+  // Unchanged values leave the version and the history alone
+  if (changed.length === 0 && !generosChanged) {
+    return antes;
+  }
+
+  const setClause = changed
+    .map((field, index) => `${field} = $${index + 1}, `)
+    .join('');
+  const changedValues = changed.map(field => values[fields.indexOf(field)]);
+
+  changedValues.push(idArtista);
+
+  const result = await client.query(
+    `
+      UPDATE artista
+      SET ${setClause}version = version + 1
+      WHERE id_artista = $${changedValues.length}
+      RETURNING id_artista, nombre, genero_musica, version
+    `,
+    changedValues
+  );
+  const artista = result.rows[0];
+
+  if (generosChanged) {
+    await replaceGenerosArtista(client, idArtista, generosNuevos);
+  } else if (changed.includes('genero_musica')) {
+    await setGeneroPrincipal(client, idArtista, generoPrincipal.id_genero);
+  }
+
+  if (nombresNuevos) {
+    artista.generos = generosChanged ? nombresNuevos : antes.generos;
+  }
+
+  await registrarAuditoria(client, actor, [
+    { entidad: 'artista', idEntidad: idArtista, accion, antes, despues: artista, revierteA }
+  ]);
+
+  return artista;
+}
+
+// Update existing artist
+async function updateArtista(idArtista, values, { actor, versionesEsperadas } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const artista = await applyArtistaUpdate(client, idArtista, values, { actor, versionesEsperadas });
+
+    await client.query('COMMIT');
+
+    return artista;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    const duplicateError = uniqueViolationError(error);
+
+    if (duplicateError) {
+      throw duplicateError;
+    }
+
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Retrieve a page of albumes
+async function getAlbumes({
+  limit = DEFAULT_PAGE_LIMIT,
+  offset = 0,
+  sort = 'titulo_album',
+  order = 'asc',
+  genero_musica,
+  anio_desde,
+  anio_hasta,
+  id_artista
+} = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const conditions = ['al.eliminado_en IS NULL'];
+    const values = [];
+
+    if (typeof genero_musica === 'string') {
+      values.push(genero_musica);
+      conditions.push(`ar.id_artista IN (${artistasConGeneroSql(values.length)})`);
+    }
+
+    if (Number.isInteger(anio_desde)) {
+      values.push(anio_desde);
+      conditions.push(`al.anio_album >= $${values.length}`);
+    }
+
+    if (Number.isInteger(anio_hasta)) {
+      values.push(anio_hasta);
+      conditions.push(`al.anio_album <= $${values.length}`);
+    }
+
+    if (Number.isInteger(id_artista)) {
+      values.push(id_artista);
+      conditions.push(`al.id_artista = $${values.length}`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    // Unrated albums go last in either direction
+    const orderClause = sort === 'valoracion_media'
+      ? `val.valoracion_media ${String(order).toLowerCase() === 'desc' ? 'DESC' : 'ASC'} NULLS LAST, al.id_album`
+      : buildOrderClause(ALBUM_SORT_COLUMNS, sort, order, 'titulo_album', 'id_album', 'al');
+
+    const countResult = await client.query(
+      `
+        SELECT COUNT(*)::int AS total
+        FROM albumes al
+        JOIN artista ar ON ar.id_artista = al.id_artista
+        ${whereClause}
+      `,
+      values
+    );
+
+    const result = await client.query(
+      `
+        SELECT
+          al.id_album,
+          al.titulo_album,
+          al.anio_album,
+          al.id_artista,
+          al.portada,
+          COALESCE(dur.duracion_total_segundos, 0) AS duracion_total_segundos,
+          val.valoracion_media,
+          COALESCE(val.total_resenas, 0) AS total_resenas
+        FROM albumes al
+        JOIN artista ar ON ar.id_artista = al.id_artista
+        ${albumDurationJoinSql('al.id_album')}
+        ${albumRatingJoinSql('al.id_album')}
+        ${whereClause}
+        ORDER BY ${orderClause}
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `,
+      [...values, Math.min(limit, MAX_PAGE_LIMIT), offset]
+    );
+
+    return {
+      albumes: result.rows.map(conPortada),
+      total: countResult.rows[0].total
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch albumes: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Retrieve a single album by id
+async function getAlbumPorId(idAlbum) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(
+      `
+        SELECT
+          al.id_album,
+          al.titulo_album,
+          al.anio_album,
+          al.id_artista,
+          al.portada,
+          al.version,
+          COALESCE(dur.duracion_total_segundos, 0) AS duracion_total_segundos,
+          val.valoracion_media,
+          COALESCE(val.total_resenas, 0) AS total_resenas
+        FROM albumes al
+        ${albumDurationJoinSql('al.id_album')}
+        ${albumRatingJoinSql('al.id_album')}
+        WHERE al.id_album = $1 AND al.eliminado_en IS NULL
+      `,
+      [idAlbum]
+    );
+
+    return result.rows[0] ? conPortada(result.rows[0]) : null;
+  } catch (error) {
+    throw new Error(`Failed to fetch album: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Retrieve albums for a specific artist
+async function getAlbumesPorArtista(idArtista) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(
+      `
+        SELECT
+          al.id_album,
+          al.titulo_album,
+          al.anio_album,
+          al.id_artista,
+          al.portada,
+          COALESCE(dur.duracion_total_segundos, 0) AS duracion_total_segundos,
+          val.valoracion_media,
+          COALESCE(val.total_resenas, 0) AS total_resenas
+        FROM albumes al
+        ${albumDurationJoinSql('al.id_album')}
+        ${albumRatingJoinSql('al.id_album')}
+        WHERE al.id_artista = $1 AND al.eliminado_en IS NULL
+        ORDER BY al.titulo_album
+      `,
       [idArtista]
     );
 
-    return result.rows[0] || null;
+    return result.rows.map(conPortada);
+  } catch (error) {
+    throw new Error(`Failed to fetch albumes for artista: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Albums of several artists in one query, ordered like getAlbumesPorArtista. Lets callers
+// that resolve many artists at once (the GraphQL loaders) avoid a query per artist.
+async function getAlbumesPorArtistas(idsArtista) {
+  if (idsArtista.length === 0) {
+    return [];
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+
+    const placeholders = idsArtista.map((id, index) => `$${index + 1}`).join(', ');
+    const result = await client.query(
+      `
+        SELECT
+          al.id_album,
+          al.titulo_album,
+          al.anio_album,
+          al.id_artista,
+          al.portada,
+          COALESCE(dur.duracion_total_segundos, 0) AS duracion_total_segundos,
+          val.valoracion_media,
+          COALESCE(val.total_resenas, 0) AS total_resenas
+        FROM albumes al
+        ${albumDurationJoinSql('al.id_album')}
+        ${albumRatingJoinSql('al.id_album')}
+        WHERE al.id_artista IN (${placeholders}) AND al.eliminado_en IS NULL
+        ORDER BY al.titulo_album
+      `,
+      idsArtista
+    );
+
+    return result.rows.map(conPortada);
+  } catch (error) {
+    throw new Error(`Failed to fetch albumes for artistas: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Several live artists by id in one query
+async function getArtistasPorIds(idsArtista) {
+  if (idsArtista.length === 0) {
+    return [];
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+
+    const placeholders = idsArtista.map((id, index) => `$${index + 1}`).join(', ');
+    const result = await client.query(
+      `
+        SELECT id_artista, nombre, genero_musica, version
+        FROM artista
+        WHERE id_artista IN (${placeholders}) AND eliminado_en IS NULL
+      `,
+      idsArtista
+    );
+
+    return result.rows;
+  } catch (error) {
+    throw new Error(`Failed to fetch artistas: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Album titles are unique case-insensitively among live albums; excludeId skips the album being updated
+async function isAlbumTituloDuplicado(client, titulo_album, excludeId = null) {
+  const duplicate = await client.query(
+    `
+      SELECT id_album FROM albumes
+      WHERE LOWER(titulo_album) = LOWER($1)
+        AND eliminado_en IS NULL
+        AND ($2::int IS NULL OR id_album <> $2::int)
+      LIMIT 1
+    `,
+    [titulo_album, excludeId]
+  );
+
+  return duplicate.rowCount > 0;
+}
+
+// The foreign key accepts trashed artists, so album writes check the artist is live themselves
+async function assertArtistaActivo(client, idArtista) {
+  const result = await client.query(
+    'SELECT 1 FROM artista WHERE id_artista = $1 AND eliminado_en IS NULL',
+    [idArtista]
+  );
+
+  if (result.rowCount === 0) {
+    const error = new Error('Specified artista does not exist');
+    error.code = 'ARTISTA_NOT_FOUND';
+    throw error;
+  }
+}
+
+// Create a new album
+async function createAlbum({ titulo_album, anio_album, id_artista }, { actor } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    if (await isAlbumTituloDuplicado(client, titulo_album)) {
+      const error = new Error('Album title already exists');
+      error.code = 'ALBUM_TITLE_EXISTS';
+      throw error;
+    }
+
+    await assertArtistaActivo(client, id_artista);
+
+    const result = await client.query(
+      `
+        INSERT INTO albumes (titulo_album, anio_album, id_artista)
+        VALUES ($1, $2, $3)
+        RETURNING id_album, titulo_album, anio_album, id_artista, version
+      `,
+      [titulo_album, anio_album, id_artista]
+    );
+    const album = result.rows[0];
+
+    await registrarAuditoria(client, actor, [
+      { entidad: 'album', idEntidad: album.id_album, accion: 'crear', despues: album }
+    ]);
+    await client.query('COMMIT');
+
+    return album;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    if (error.code === '23503') {
+      // Foreign key violation
+      const fkError = new Error('Specified artista does not exist');
+      fkError.code = 'ARTISTA_NOT_FOUND';
+      throw fkError;
+    }
+
+    // A concurrent request can take the title after the duplicate check
+    const duplicateError = uniqueViolationError(error);
+
+    if (duplicateError) {
+      throw duplicateError;
+    }
+
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Change fields of a live album and audit it, inside the caller's transaction. Only
+// fields whose value differs are written, and only then does the version go up.
+// Returns null when the album does not exist or is in the trash.
+async function applyAlbumUpdate(
+  client,
+  idAlbum,
+  { titulo_album, anio_album, id_artista },
+  { actor, accion = 'actualizar', revierteA, versionesEsperadas }
+) {
+  const current = await client.query(
+    `
+      SELECT id_album, titulo_album, anio_album, id_artista, version
+      FROM albumes
+      WHERE id_album = $1 AND eliminado_en IS NULL
+      FOR UPDATE
+    `,
+    [idAlbum]
+  );
+
+  if (current.rowCount === 0) {
+    return null;
+  }
+
+  const antes = current.rows[0];
+  assertVersionEsperada(antes, versionesEsperadas);
+
+  const fields = [];
+  const values = [];
+
+  if (typeof titulo_album === 'string') {
+    fields.push('titulo_album');
+    values.push(titulo_album);
+  }
+
+  if (Number.isInteger(anio_album)) {
+    fields.push('anio_album');
+    values.push(anio_album);
+  }
+
+  if (Number.isInteger(id_artista)) {
+    fields.push('id_artista');
+    values.push(id_artista);
+  }
+
+  if (fields.length === 0) {
+    throw new Error('No update fields provided');
+  }
+
+  const changed = fields.filter((field, index) => antes[field] !== values[index]);
+
+  // Unchanged values leave the version and the history alone
+  if (changed.length === 0) {
+    return antes;
+  }
+
+  if (changed.includes('titulo_album') && (await isAlbumTituloDuplicado(client, titulo_album, idAlbum))) {
+    const error = new Error('Album title already exists');
+    error.code = 'ALBUM_TITLE_EXISTS';
+    throw error;
+  }
+
+  if (changed.includes('id_artista')) {
+    await assertArtistaActivo(client, id_artista);
+  }
+
+  const setClause = changed
+    .map((field, index) => `${field} = $${index + 1}`)
+    .join(', ');
+  const changedValues = changed.map(field => values[fields.indexOf(field)]);
+
+  changedValues.push(idAlbum);
+
+  const result = await client.query(
+    `
+      UPDATE albumes
+      SET ${setClause}, version = version + 1
+      WHERE id_album = $${changedValues.length}
+      RETURNING id_album, titulo_album, anio_album, id_artista, version
+    `,
+    changedValues
+  );
+  const album = result.rows[0];
+
+  await registrarAuditoria(client, actor, [
+    { entidad: 'album', idEntidad: idAlbum, accion, antes, despues: album, revierteA }
+  ]);
+
+  return album;
+}
+
+// Update existing album
+async function updateAlbum(idAlbum, values, { actor, versionesEsperadas } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const album = await applyAlbumUpdate(client, idAlbum, values, { actor, versionesEsperadas });
+
+    await client.query('COMMIT');
+
+    return album;
   } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
     if (error.code === '23503') {
-      const fkError = new Error('Cannot delete artista with related records');
-      fkError.code = 'ARTISTA_HAS_DEPENDENCIES';
+      const fkError = new Error('Specified artista does not exist');
+      fkError.code = 'ARTISTA_NOT_FOUND';
       throw fkError;
     }
 
+    const duplicateError = uniqueViolationError(error);
+
+    if (duplicateError) {
+      throw duplicateError;
+    }
+
     throw error;
   } finally {
     if (client) {
@@ -461,17 +1507,2067 @@ async function deleteArtista(idArtista) {
   }
 }
 
+// Move an album to the trash; its canciones stay attached and come back with it
+async function deleteAlbum(idAlbum, { actor, versionesEsperadas } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `
+        SELECT id_album, titulo_album, anio_album, id_artista, version
+        FROM albumes
+        WHERE id_album = $1 AND eliminado_en IS NULL
+        FOR UPDATE
+      `,
+      [idAlbum]
+    );
+
+    if (current.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const antes = current.rows[0];
+    assertVersionEsperada(antes, versionesEsperadas);
+
+    const result = await client.query(
+      `
+        UPDATE albumes
+        SET eliminado_en = NOW()
+        WHERE id_album = $1
+        RETURNING id_album, titulo_album, anio_album, id_artista, version, eliminado_en
+      `,
+      [idAlbum]
+    );
+
+    await registrarAuditoria(client, actor, [
+      { entidad: 'album', idEntidad: idAlbum, accion: 'eliminar', antes, despues: result.rows[0] }
+    ]);
+    await client.query('COMMIT');
+
+    return result.rows[0];
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    if (error.code === 'VERSION_MISMATCH') {
+      throw error;
+    }
+
+    throw new Error(`Failed to delete album: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Point a live album at a new cover key, or at none with null. Returns the album with its
+// cover URLs and the key it had before, so the caller can delete the replaced files; null
+// when the album does not exist or is in the trash.
+async function setPortadaAlbum(idAlbum, portada, { actor, versionesEsperadas } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `
+        SELECT id_album, titulo_album, anio_album, id_artista, portada, version
+        FROM albumes
+        WHERE id_album = $1 AND eliminado_en IS NULL
+        FOR UPDATE
+      `,
+      [idAlbum]
+    );
+
+    if (current.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const antes = current.rows[0];
+    assertVersionEsperada(conPortada(antes), versionesEsperadas);
+
+    // Removing a cover the album does not have changes nothing
+    if (antes.portada === portada) {
+      await client.query('ROLLBACK');
+      return { album: conPortada(antes), anterior: null };
+    }
+
+    const result = await client.query(
+      `
+        UPDATE albumes
+        SET portada = $1, version = version + 1
+        WHERE id_album = $2
+        RETURNING id_album, titulo_album, anio_album, id_artista, portada, version
+      `,
+      [portada, idAlbum]
+    );
+    const despues = result.rows[0];
+
+    await registrarAuditoria(client, actor, [
+      { entidad: 'album', idEntidad: idAlbum, accion: 'portada', antes, despues }
+    ]);
+    await client.query('COMMIT');
+
+    return { album: conPortada(despues), anterior: antes.portada };
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    if (error.code === 'VERSION_MISMATCH') {
+      throw error;
+    }
+
+    throw new Error(`Failed to set album portada: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Retrieve the canciones of an album in disc/track order
+async function getCancionesPorAlbum(idAlbum) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(
+      `
+        SELECT
+          id_cancion,
+          id_album,
+          numero_disco,
+          numero_pista,
+          titulo_cancion,
+          duracion_segundos
+        FROM canciones
+        WHERE id_album = $1
+        ORDER BY numero_disco, numero_pista
+      `,
+      [idAlbum]
+    );
+
+    return result.rows;
+  } catch (error) {
+    throw new Error(`Failed to fetch canciones for album: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Song changes alter the album's representation (its total duration), so they raise the
+// album version like any other album change, and ETags and If-Match take them into account.
+// Each one is an actualizar entry in the album history, with the song before and after under
+// cancion, so the versions there follow on from each other.
+async function registrarCambioCancion(client, idAlbum, actor, { antes = null, despues = null }) {
+  const result = await client.query(
+    `
+      UPDATE albumes
+      SET version = version + 1
+      WHERE id_album = $1
+      RETURNING id_album, titulo_album, anio_album, id_artista, version
+    `,
+    [idAlbum]
+  );
+  const album = result.rows[0];
+
+  await registrarAuditoria(client, actor, [
+    {
+      entidad: 'album',
+      idEntidad: idAlbum,
+      accion: 'actualizar',
+      antes: { ...album, version: album.version - 1, cancion: antes },
+      despues: { ...album, cancion: despues }
+    }
+  ]);
+}
+
+// Create a new cancion; without numero_pista it is appended after the last track of its disc
+async function createCancion(
+  idAlbum,
+  { titulo_cancion, numero_disco = 1, numero_pista, duracion_segundos = null },
+  { actor } = {}
+) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const album = await client.query(
+      'SELECT 1 FROM albumes WHERE id_album = $1 AND eliminado_en IS NULL',
+      [idAlbum]
+    );
+
+    if (album.rowCount === 0) {
+      const notFoundError = new Error('Specified album does not exist');
+      notFoundError.code = 'ALBUM_NOT_FOUND';
+      throw notFoundError;
+    }
+
+    const result = await client.query(
+      `
+        INSERT INTO canciones (id_album, numero_disco, numero_pista, titulo_cancion, duracion_segundos)
+        VALUES (
+          $1,
+          $2,
+          COALESCE(
+            $3,
+            (SELECT COALESCE(MAX(numero_pista), 0) + 1 FROM canciones WHERE id_album = $1 AND numero_disco = $2)
+          ),
+          $4,
+          $5
+        )
+        RETURNING id_cancion, id_album, numero_disco, numero_pista, titulo_cancion, duracion_segundos
+      `,
+      [idAlbum, numero_disco, Number.isInteger(numero_pista) ? numero_pista : null, titulo_cancion, duracion_segundos]
+    );
+    const cancion = result.rows[0];
+
+    await registrarCambioCancion(client, idAlbum, actor, { despues: cancion });
+    await client.query('COMMIT');
+
+    return cancion;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    if (error.code === '23503') {
+      const fkError = new Error('Specified album does not exist');
+      fkError.code = 'ALBUM_NOT_FOUND';
+      throw fkError;
+    }
+
+    if (error.code === '23505') {
+      const duplicateError = new Error('Track position already taken on this album');
+      duplicateError.code = 'CANCION_POSITION_EXISTS';
+      throw duplicateError;
+    }
+
+    if (error.code === 'ALBUM_NOT_FOUND') {
+      throw error;
+    }
+
+    throw new Error(`Failed to create cancion: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Update existing cancion
+async function updateCancion(idCancion, { titulo_cancion, numero_disco, numero_pista, duracion_segundos }, { actor } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const fields = [];
+    const values = [];
+
+    if (typeof titulo_cancion === 'string') {
+      fields.push('titulo_cancion');
+      values.push(titulo_cancion);
+    }
+
+    if (Number.isInteger(numero_disco)) {
+      fields.push('numero_disco');
+      values.push(numero_disco);
+    }
+
+    if (Number.isInteger(numero_pista)) {
+      fields.push('numero_pista');
+      values.push(numero_pista);
+    }
+
+    // null clears a duration that is not known
+    if (Number.isInteger(duracion_segundos) || duracion_segundos === null) {
+      fields.push('duracion_segundos');
+      values.push(duracion_segundos);
+    }
+
+    if (fields.length === 0) {
+      throw new Error('No update fields provided');
+    }
+
+    const setClause = fields
+      .map((field, index) => `${field} = $${index + 1}`)
+      .join(', ');
+
+    // The song as it was, for the album history
+    const previous = await client.query(
+      `
+        SELECT id_cancion, id_album, numero_disco, numero_pista, titulo_cancion, duracion_segundos
+        FROM canciones
+        WHERE id_cancion = $1
+        FOR UPDATE
+      `,
+      [idCancion]
+    );
+
+    values.push(idCancion);
+
+    const result = await client.query(
+      `
+        UPDATE canciones
+        SET ${setClause}
+        WHERE id_cancion = $${values.length}
+          AND id_album IN (SELECT id_album FROM albumes WHERE eliminado_en IS NULL)
+        RETURNING id_cancion, id_album, numero_disco, numero_pista, titulo_cancion, duracion_segundos
+      `,
+      values
+    );
+    const cancion = result.rows[0] || null;
+
+    if (cancion) {
+      await registrarCambioCancion(client, cancion.id_album, actor, { antes: previous.rows[0], despues: cancion });
+    }
+
+    await client.query('COMMIT');
+
+    return cancion;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    if (error.code === '23505') {
+      const duplicateError = new Error('Track position already taken on this album');
+      duplicateError.code = 'CANCION_POSITION_EXISTS';
+      throw duplicateError;
+    }
+
+    if (error.message === 'No update fields provided') {
+      throw error;
+    }
+
+    throw new Error(`Failed to update cancion: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Delete existing cancion
+async function deleteCancion(idCancion, { actor } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `
+        DELETE FROM canciones
+        WHERE id_cancion = $1
+          AND id_album IN (SELECT id_album FROM albumes WHERE eliminado_en IS NULL)
+        RETURNING id_cancion, id_album, numero_disco, numero_pista, titulo_cancion, duracion_segundos
+      `,
+      [idCancion]
+    );
+    const cancion = result.rows[0] || null;
+
+    if (cancion) {
+      await registrarCambioCancion(client, cancion.id_album, actor, { antes: cancion });
+    }
+
+    await client.query('COMMIT');
+
+    return cancion;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    throw new Error(`Failed to delete cancion: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+const RESENA_COLUMNS = `
+  r.id_resena,
+  r.id_album,
+  r.puntuacion,
+  r.texto,
+  r.creado_en,
+  r.actualizado_en,
+  r.id_usuario,
+  u.nombre AS nombre_usuario
+`;
+
+// Reviews show who wrote them by id and display name, never by email
+const toResena = ({ id_usuario, nombre_usuario, ...resena }) => ({
+  ...resena,
+  usuario: { id_usuario, nombre: nombre_usuario }
+});
+
+async function findResena(client, idAlbum, idUsuario) {
+  const result = await client.query(
+    `
+      SELECT ${RESENA_COLUMNS}
+      FROM resenas r
+      JOIN usuarios u ON u.id_usuario = r.id_usuario
+      WHERE r.id_album = $1 AND r.id_usuario = $2
+    `,
+    [idAlbum, idUsuario]
+  );
+
+  return result.rows[0] ? toResena(result.rows[0]) : null;
+}
+
+// Retrieve a page of the reviews of a live album, newest first. Returns null when the
+// album does not exist or is in the trash.
+async function getResenas(idAlbum, { limit = DEFAULT_PAGE_LIMIT, offset = 0 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const albumResult = await client.query(
+      'SELECT 1 FROM albumes WHERE id_album = $1 AND eliminado_en IS NULL',
+      [idAlbum]
+    );
+
+    if (albumResult.rowCount === 0) {
+      return null;
+    }
+
+    const countResult = await client.query(
+      'SELECT COUNT(*)::int AS total FROM resenas WHERE id_album = $1',
+      [idAlbum]
+    );
+
+    const result = await client.query(
+      `
+        SELECT ${RESENA_COLUMNS}
+        FROM resenas r
+        JOIN usuarios u ON u.id_usuario = r.id_usuario
+        WHERE r.id_album = $1
+        ORDER BY r.creado_en DESC, r.id_resena DESC
+        LIMIT $2 OFFSET $3
+      `,
+      [idAlbum, Math.min(limit, MAX_PAGE_LIMIT), offset]
+    );
+
+    return {
+      resenas: result.rows.map(toResena),
+      total: countResult.rows[0].total
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch resenas: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Rate a live album, optionally with a text. Each user reviews an album once. Returns
+// null when the album does not exist or is in the trash.
+async function createResena(idAlbum, idUsuario, { puntuacion, texto = null }) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const albumResult = await client.query(
+      'SELECT 1 FROM albumes WHERE id_album = $1 AND eliminado_en IS NULL',
+      [idAlbum]
+    );
+
+    if (albumResult.rowCount === 0) {
+      return null;
+    }
+
+    await client.query(
+      'INSERT INTO resenas (id_album, id_usuario, puntuacion, texto) VALUES ($1, $2, $3, $4)',
+      [idAlbum, idUsuario, puntuacion, texto]
+    );
+
+    return await findResena(client, idAlbum, idUsuario);
+  } catch (error) {
+    if (error.code === '23505') {
+      const duplicateError = new Error('The user already reviewed this album');
+      duplicateError.code = 'RESENA_DUPLICADA';
+      throw duplicateError;
+    }
+
+    throw new Error(`Failed to create resena: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Change a user's review of a live album; a null texto removes the text. Returns null
+// when the user has no review of it.
+async function updateResena(idAlbum, idUsuario, { puntuacion, texto }) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const fields = [];
+    const values = [];
+
+    Object.entries({ puntuacion, texto }).forEach(([field, value]) => {
+      if (value !== undefined) {
+        values.push(value);
+        fields.push(`${field} = $${values.length}`);
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('No update fields provided');
+    }
+
+    values.push(idAlbum, idUsuario);
+
+    const result = await client.query(
+      `
+        UPDATE resenas
+        SET ${fields.join(', ')}, actualizado_en = NOW()
+        WHERE id_album = $${values.length - 1}
+          AND id_usuario = $${values.length}
+          AND id_album IN (SELECT id_album FROM albumes WHERE eliminado_en IS NULL)
+      `,
+      values
+    );
+
+    if (result.rowCount === 0) {
+      return null;
+    }
+
+    return await findResena(client, idAlbum, idUsuario);
+  } catch (error) {
+    if (error.message === 'No update fields provided') {
+      throw error;
+    }
+
+    throw new Error(`Failed to update resena: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Delete a user's review of an album. Returns what was deleted, null when there was none.
+async function deleteResena(idAlbum, idUsuario) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const resena = await findResena(client, idAlbum, idUsuario);
+
+    if (!resena) {
+      return null;
+    }
+
+    await client.query('DELETE FROM resenas WHERE id_resena = $1', [resena.id_resena]);
+
+    return resena;
+  } catch (error) {
+    throw new Error(`Failed to delete resena: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Best rated live albums, by average rating and then by number of reviews. Only albums
+// with at least minResenas reviews qualify, so one enthusiastic review does not top the
+// list. genero_musica keeps albums whose artist has that genre, principal or not, and
+// decada (1990, 2000, ...) albums released in that decade.
+async function getMejorValorados({ genero_musica, decada, minResenas = 1, limit = 10 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const conditions = ['al.eliminado_en IS NULL', 'ar.eliminado_en IS NULL', 'val.total_resenas >= $1'];
+    const values = [minResenas];
+
+    if (typeof genero_musica === 'string') {
+      values.push(genero_musica);
+      conditions.push(`ar.id_artista IN (${artistasConGeneroSql(values.length)})`);
+    }
+
+    if (Number.isInteger(decada)) {
+      values.push(decada);
+      conditions.push(`al.anio_album >= $${values.length} AND al.anio_album < $${values.length} + 10`);
+    }
+
+    values.push(Math.min(limit, MAX_PAGE_LIMIT));
+
+    const result = await client.query(
+      `
+        SELECT
+          al.id_album,
+          al.titulo_album,
+          al.anio_album,
+          al.id_artista,
+          al.portada,
+          ar.nombre,
+          ar.genero_musica,
+          val.valoracion_media,
+          val.total_resenas
+        FROM albumes al
+        JOIN artista ar ON ar.id_artista = al.id_artista
+        ${albumRatingJoinSql('al.id_album')}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY val.valoracion_media DESC, val.total_resenas DESC, al.titulo_album, al.id_album
+        LIMIT $${values.length}
+      `,
+      values
+    );
+
+    return result.rows.map(conPortada);
+  } catch (error) {
+    throw new Error(`Failed to fetch mejor valorados: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Create a new user, a lector unless told otherwise. Public registration never passes a
+// role; the first admin comes from the command-line tool or bootstrapAdmin.
+async function createUsuario({ email, nombre = null, password_hash, rol = 'lector' }) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(
+      `
+        INSERT INTO usuarios (email, nombre, password_hash, rol)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id_usuario, email, nombre, rol, creado_en
+      `,
+      [email, nombre, password_hash, rol]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      const duplicateError = new Error('Email already registered');
+      duplicateError.code = 'USUARIO_EMAIL_EXISTS';
+      throw duplicateError;
+    }
+
+    throw new Error(`Failed to create usuario: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Create an admin with this email while there is no admin at all; a single statement, so
+// instances starting together cannot create two. An existing account with the email is left
+// as it is. Returns the new admin, or null when nothing was created.
+async function bootstrapAdmin({ email, password_hash }) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(
+      `
+        INSERT INTO usuarios (email, password_hash, rol)
+        SELECT $1, $2, 'admin'
+        WHERE NOT EXISTS (SELECT 1 FROM usuarios WHERE rol = 'admin')
+        ON CONFLICT ((LOWER(email))) DO NOTHING
+        RETURNING id_usuario, email, nombre, rol, creado_en
+      `,
+      [email, password_hash]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    throw new Error(`Failed to bootstrap admin: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Find single user by email (case-insensitive), including the password hash for login checks
+async function findUsuarioPorEmail(email) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(
+      `
+        SELECT id_usuario, email, nombre, password_hash, rol, creado_en
+        FROM usuarios
+        WHERE LOWER(email) = LOWER($1)
+        LIMIT 1
+      `,
+      [email]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    throw new Error(`Failed to find usuario by email: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Retrieve a single user by id, without the password hash
+async function getUsuarioPorId(idUsuario) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(
+      'SELECT id_usuario, email, nombre, rol, creado_en FROM usuarios WHERE id_usuario = $1',
+      [idUsuario]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    throw new Error(`Failed to fetch usuario: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Change the role of an existing user
+async function updateUsuarioRol(idUsuario, rol) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(
+      `
+        UPDATE usuarios
+        SET rol = $1
+        WHERE id_usuario = $2
+        RETURNING id_usuario, email, nombre, rol, creado_en
+      `,
+      [rol, idUsuario]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    throw new Error(`Failed to update usuario rol: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// An album of a user's collection with its ownership details. Dates come back as
+// YYYY-MM-DD and prices as numbers, as in getColeccionMusical.
+async function findAlbumEnColeccion(client, idUsuario, idAlbum) {
+  const result = await client.query(
+    `
+      SELECT
+        ua.id_album,
+        al.titulo_album,
+        al.anio_album,
+        al.id_artista,
+        ua.fecha_adquisicion::text AS fecha_adquisicion,
+        ua.precio_compra::float AS precio_compra,
+        ua.notas,
+        ua.agregado_en
+      FROM usuario_albumes ua
+      JOIN albumes al ON al.id_album = ua.id_album
+      WHERE ua.id_usuario = $1 AND ua.id_album = $2
+    `,
+    [idUsuario, idAlbum]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Add a live album of the catalogue to a user's collection. Returns null when the album
+// does not exist or is in the trash.
+async function addAlbumAColeccion(
+  idUsuario,
+  idAlbum,
+  { fecha_adquisicion = null, precio_compra = null, notas = null } = {}
+) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const albumResult = await client.query(
+      'SELECT 1 FROM albumes WHERE id_album = $1 AND eliminado_en IS NULL',
+      [idAlbum]
+    );
+
+    if (albumResult.rowCount === 0) {
+      return null;
+    }
+
+    await client.query(
+      `
+        INSERT INTO usuario_albumes (id_usuario, id_album, fecha_adquisicion, precio_compra, notas)
+        VALUES ($1, $2, $3, $4, $5)
+      `,
+      [idUsuario, idAlbum, fecha_adquisicion, precio_compra, notas]
+    );
+
+    return await findAlbumEnColeccion(client, idUsuario, idAlbum);
+  } catch (error) {
+    if (error.code === '23505') {
+      const duplicateError = new Error('Album already in the collection');
+      duplicateError.code = 'COLECCION_ALBUM_DUPLICADO';
+      throw duplicateError;
+    }
+
+    throw new Error(`Failed to add album to coleccion: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Change the ownership details of an album in a user's collection; null clears a field.
+// Returns null when the album is not in the collection or is in the trash.
+async function updateAlbumEnColeccion(idUsuario, idAlbum, { fecha_adquisicion, precio_compra, notas }) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const fields = [];
+    const values = [];
+
+    Object.entries({ fecha_adquisicion, precio_compra, notas }).forEach(([field, value]) => {
+      if (value !== undefined) {
+        values.push(value);
+        fields.push(`${field} = $${values.length}`);
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('No update fields provided');
+    }
+
+    values.push(idUsuario, idAlbum);
+
+    const result = await client.query(
+      `
+        UPDATE usuario_albumes
+        SET ${fields.join(', ')}
+        WHERE id_usuario = $${values.length - 1}
+          AND id_album = $${values.length}
+          AND id_album IN (SELECT id_album FROM albumes WHERE eliminado_en IS NULL)
+      `,
+      values
+    );
+
+    if (result.rowCount === 0) {
+      return null;
+    }
+
+    return await findAlbumEnColeccion(client, idUsuario, idAlbum);
+  } catch (error) {
+    if (error.message === 'No update fields provided') {
+      throw error;
+    }
+
+    throw new Error(`Failed to update album in coleccion: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Remove an album from a user's collection, even while the album is in the trash. Returns
+// what was removed, null when it was not in the collection.
+async function removeAlbumDeColeccion(idUsuario, idAlbum) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const album = await findAlbumEnColeccion(client, idUsuario, idAlbum);
+
+    if (!album) {
+      return null;
+    }
+
+    await client.query(
+      'DELETE FROM usuario_albumes WHERE id_usuario = $1 AND id_album = $2',
+      [idUsuario, idAlbum]
+    );
+
+    return album;
+  } catch (error) {
+    throw new Error(`Failed to remove album from coleccion: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Move an artist to the trash. Live albums block it unless cascade is set, in which case
+// the albums go to the trash too, with the same timestamp, so restoring the artist brings
+// them back. Returns what was trashed, including the canciones of those albums.
+async function deleteArtista(idArtista, { cascade = false, actor, versionesEsperadas } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Locking the artist also keeps new albums from being attached to it meanwhile
+    const artistaResult = await client.query(
+      `
+        SELECT id_artista, nombre, genero_musica, version
+        FROM artista
+        WHERE id_artista = $1 AND eliminado_en IS NULL
+        FOR UPDATE
+      `,
+      [idArtista]
+    );
+
+    if (artistaResult.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    assertVersionEsperada(artistaResult.rows[0], versionesEsperadas);
+
+    const albumesResult = await client.query(
+      `
+        SELECT id_album, titulo_album, anio_album, id_artista, version
+        FROM albumes
+        WHERE id_artista = $1 AND eliminado_en IS NULL
+        ORDER BY anio_album, id_album
+      `,
+      [idArtista]
+    );
+
+    if (albumesResult.rowCount > 0 && !cascade) {
+      const dependenciesError = new Error('Cannot delete artista with related records');
+      dependenciesError.code = 'ARTISTA_HAS_DEPENDENCIES';
+      dependenciesError.albumes = albumesResult.rows;
+      throw dependenciesError;
+    }
+
+    const cancionesResult = await client.query(
+      `
+        SELECT id_cancion, id_album, titulo_cancion
+        FROM canciones
+        WHERE id_album IN (SELECT id_album FROM albumes WHERE id_artista = $1 AND eliminado_en IS NULL)
+        ORDER BY id_album, numero_disco, numero_pista
+      `,
+      [idArtista]
+    );
+
+    const trashed = await client.query(
+      'UPDATE artista SET eliminado_en = NOW() WHERE id_artista = $1 RETURNING eliminado_en',
+      [idArtista]
+    );
+    // The albums take the artist's exact timestamp, which is how restoring finds them
+    const trashedAlbumes = await client.query(
+      `
+        UPDATE albumes
+        SET eliminado_en = (SELECT eliminado_en FROM artista WHERE id_artista = $1)
+        WHERE id_artista = $1 AND eliminado_en IS NULL
+        RETURNING id_album, titulo_album, anio_album, id_artista, version, eliminado_en
+      `,
+      [idArtista]
+    );
+    const artista = { ...artistaResult.rows[0], eliminado_en: trashed.rows[0].eliminado_en };
+
+    await registrarAuditoria(client, actor, [
+      { entidad: 'artista', idEntidad: idArtista, accion: 'eliminar', antes: artistaResult.rows[0], despues: artista },
+      ...trashedAlbumes.rows.map(({ eliminado_en, ...antes }) => ({
+        entidad: 'album',
+        idEntidad: antes.id_album,
+        accion: 'eliminar',
+        antes,
+        despues: { ...antes, eliminado_en }
+      }))
+    ]);
+    await client.query('COMMIT');
+
+    return {
+      artista,
+      albumes: albumesResult.rows,
+      canciones: cancionesResult.rows
+    };
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// List trashed artists and albums, most recently deleted first. purga_en is when
+// purgarPapelera with the given retention would remove each item.
+async function getPapelera({ tipo, retencionDias = PAPELERA_RETENCION_DIAS } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const papelera = { artistas: [], albumes: [] };
+    const purgaEn = (eliminadoEn) => new Date(new Date(eliminadoEn).getTime() + retencionDias * DAY_MS);
+
+    if (!tipo || tipo === 'artista') {
+      const artistas = await client.query(`
+        SELECT
+          a.id_artista,
+          a.nombre,
+          a.genero_musica,
+          a.eliminado_en,
+          COALESCE(al.total_albumes, 0) AS total_albumes
+        FROM artista a
+        LEFT JOIN (
+          SELECT id_artista, COUNT(*)::int AS total_albumes
+          FROM albumes
+          GROUP BY id_artista
+        ) al ON al.id_artista = a.id_artista
+        WHERE a.eliminado_en IS NOT NULL
+        ORDER BY a.eliminado_en DESC, a.id_artista
+      `);
+      papelera.artistas = artistas.rows.map(row => ({ ...row, purga_en: purgaEn(row.eliminado_en) }));
+    }
+
+    if (!tipo || tipo === 'album') {
+      const albumes = await client.query(`
+        SELECT
+          al.id_album,
+          al.titulo_album,
+          al.anio_album,
+          al.id_artista,
+          ar.nombre AS nombre_artista,
+          al.eliminado_en,
+          ar.eliminado_en IS NOT NULL AS artista_en_papelera
+        FROM albumes al
+        JOIN artista ar ON ar.id_artista = al.id_artista
+        WHERE al.eliminado_en IS NOT NULL
+        ORDER BY al.eliminado_en DESC, al.id_album
+      `);
+      papelera.albumes = albumes.rows.map(row => ({ ...row, purga_en: purgaEn(row.eliminado_en) }));
+    }
+
+    return papelera;
+  } catch (error) {
+    throw new Error(`Failed to fetch papelera: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Bring an artist back from the trash with the albums that were trashed along with it.
+// Fails if a live artist took the name, or a live album took one of the titles, meanwhile.
+async function restaurarArtista(idArtista, { actor } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const artistaResult = await client.query(
+      `
+        SELECT id_artista, nombre, genero_musica, version, eliminado_en
+        FROM artista
+        WHERE id_artista = $1 AND eliminado_en IS NOT NULL
+        FOR UPDATE
+      `,
+      [idArtista]
+    );
+
+    if (artistaResult.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const artista = artistaResult.rows[0];
+
+    const nombreEnUso = await client.query(
+      'SELECT id_artista FROM artista WHERE LOWER(nombre) = LOWER($1) AND eliminado_en IS NULL LIMIT 1',
+      [artista.nombre]
+    );
+
+    if (nombreEnUso.rowCount > 0) {
+      const duplicateError = new Error('Artist name already exists');
+      duplicateError.code = 'ARTISTA_DUPLICATE_NAME';
+      duplicateError.conflicto = nombreEnUso.rows[0];
+      throw duplicateError;
+    }
+
+    // Compared in SQL: the timestamps carry microseconds that a JS Date would drop
+    const albumesResult = await client.query(
+      `
+        SELECT al.id_album, al.titulo_album, al.anio_album, al.id_artista, al.version, al.eliminado_en
+        FROM albumes al
+        JOIN artista ar ON ar.id_artista = al.id_artista
+        WHERE al.id_artista = $1 AND al.eliminado_en = ar.eliminado_en
+        ORDER BY al.anio_album, al.id_album
+      `,
+      [idArtista]
+    );
+
+    const titulosEnUso = [];
+    for (const album of albumesResult.rows) {
+      if (await isAlbumTituloDuplicado(client, album.titulo_album, album.id_album)) {
+        titulosEnUso.push(album);
+      }
+    }
+
+    if (titulosEnUso.length > 0) {
+      const duplicateError = new Error('Album title already exists');
+      duplicateError.code = 'ALBUM_TITLE_EXISTS';
+      duplicateError.albumes = titulosEnUso;
+      throw duplicateError;
+    }
+
+    await client.query(
+      `
+        UPDATE albumes
+        SET eliminado_en = NULL
+        WHERE id_artista = $1
+          AND eliminado_en = (SELECT eliminado_en FROM artista WHERE id_artista = $1)
+      `,
+      [idArtista]
+    );
+    await client.query('UPDATE artista SET eliminado_en = NULL WHERE id_artista = $1', [idArtista]);
+
+    const { eliminado_en, ...restaurado } = artista;
+    const albumes = albumesResult.rows.map(({ eliminado_en: albumEliminadoEn, ...album }) => album);
+
+    await registrarAuditoria(client, actor, [
+      { entidad: 'artista', idEntidad: idArtista, accion: 'restaurar', antes: artista, despues: restaurado },
+      ...albumesResult.rows.map((antes, index) => ({
+        entidad: 'album',
+        idEntidad: antes.id_album,
+        accion: 'restaurar',
+        antes,
+        despues: albumes[index]
+      }))
+    ]);
+    await client.query('COMMIT');
+
+    return { artista: restaurado, albumes };
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Bring an album back from the trash; its artist has to be live and its title free
+async function restaurarAlbum(idAlbum, { actor } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const albumResult = await client.query(
+      `
+        SELECT id_album, titulo_album, anio_album, id_artista, version, eliminado_en
+        FROM albumes
+        WHERE id_album = $1 AND eliminado_en IS NOT NULL
+        FOR UPDATE
+      `,
+      [idAlbum]
+    );
+
+    if (albumResult.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { eliminado_en, ...album } = albumResult.rows[0];
+
+    const artista = await client.query(
+      'SELECT eliminado_en FROM artista WHERE id_artista = $1 FOR SHARE',
+      [album.id_artista]
+    );
+
+    if (artista.rows[0].eliminado_en !== null) {
+      const trashedError = new Error('The album artista is in the papelera');
+      trashedError.code = 'ARTISTA_IN_PAPELERA';
+      throw trashedError;
+    }
+
+    if (await isAlbumTituloDuplicado(client, album.titulo_album, album.id_album)) {
+      const duplicateError = new Error('Album title already exists');
+      duplicateError.code = 'ALBUM_TITLE_EXISTS';
+      throw duplicateError;
+    }
+
+    await client.query('UPDATE albumes SET eliminado_en = NULL WHERE id_album = $1', [idAlbum]);
+    await registrarAuditoria(client, actor, [
+      { entidad: 'album', idEntidad: idAlbum, accion: 'restaurar', antes: albumResult.rows[0], despues: album }
+    ]);
+    await client.query('COMMIT');
+
+    return album;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Permanently delete whatever has been in the trash for longer than the retention period,
+// together with the canciones of purged albums. Returns how many rows of each kind went.
+// The audit entries outlive the rows, so the history of a purged item stays readable.
+async function purgarPapelera({ retencionDias = PAPELERA_RETENCION_DIAS, actor } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const limite = new Date(Date.now() - retencionDias * DAY_MS);
+
+    const canciones = await client.query(
+      `
+        DELETE FROM canciones
+        WHERE id_album IN (SELECT id_album FROM albumes WHERE eliminado_en < $1)
+      `,
+      [limite]
+    );
+    const albumes = await client.query(
+      `
+        DELETE FROM albumes
+        WHERE eliminado_en < $1
+        RETURNING id_album, titulo_album, anio_album, id_artista, portada, eliminado_en
+      `,
+      [limite]
+    );
+    // An artist is never trashed before its albums, but skip any that still has some
+    const artistas = await client.query(
+      `
+        DELETE FROM artista
+        WHERE eliminado_en < $1
+          AND id_artista NOT IN (SELECT id_artista FROM albumes)
+        RETURNING id_artista, nombre, genero_musica, eliminado_en
+      `,
+      [limite]
+    );
+
+    await registrarAuditoria(client, actor, [
+      ...albumes.rows.map(antes => ({ entidad: 'album', idEntidad: antes.id_album, accion: 'purgar', antes })),
+      ...artistas.rows.map(antes => ({ entidad: 'artista', idEntidad: antes.id_artista, accion: 'purgar', antes }))
+    ]);
+    await client.query('COMMIT');
+
+    await eliminarPortadas(albumes.rows.map(album => album.portada));
+
+    return {
+      limite,
+      artistas: artistas.rowCount,
+      albumes: albumes.rowCount,
+      canciones: canciones.rowCount
+    };
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    throw new Error(`Failed to purge papelera: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+const AUDITORIA_ENTIDADES = {
+  artista: { tabla: 'artista', columnaId: 'id_artista' },
+  album: { tabla: 'albumes', columnaId: 'id_album' }
+};
+
+// Only plain edits can be reverted; creations, deletions and purges go through the papelera
+const AUDITORIA_ACCIONES_REVERTIBLES = ['actualizar', 'revertir'];
+
+// Retrieve a page of the audit history of an artist or album, newest first. cambios lists
+// the fields that differ between antes and despues. existe tells an item without history
+// apart from one that never existed.
+async function getHistorial(entidad, idEntidad, { limit = DEFAULT_PAGE_LIMIT, offset = 0 } = {}) {
+  const { tabla, columnaId } = AUDITORIA_ENTIDADES[entidad];
+  let client;
+  try {
+    client = await pool.connect();
+
+    const countResult = await client.query(
+      'SELECT COUNT(*)::int AS total FROM auditoria WHERE entidad = $1 AND id_entidad = $2',
+      [entidad, idEntidad]
+    );
+
+    const result = await client.query(
+      `
+        SELECT
+          id_auditoria,
+          accion,
+          antes,
+          despues,
+          id_usuario,
+          email_usuario,
+          revierte_a,
+          creado_en
+        FROM auditoria
+        WHERE entidad = $1 AND id_entidad = $2
+        ORDER BY id_auditoria DESC
+        LIMIT $3 OFFSET $4
+      `,
+      [entidad, idEntidad, Math.min(limit, MAX_PAGE_LIMIT), offset]
+    );
+
+    const existeResult = await client.query(`SELECT 1 FROM ${tabla} WHERE ${columnaId} = $1`, [idEntidad]);
+
+    return {
+      historial: result.rows.map(({ id_usuario, email_usuario, ...entrada }) => ({
+        ...entrada,
+        cambios: diffVersiones(entrada.antes, entrada.despues),
+        usuario: id_usuario === null && email_usuario === null ? null : { id_usuario, email: email_usuario }
+      })),
+      total: countResult.rows[0].total,
+      existe: existeResult.rowCount > 0
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch historial: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Put the fields of an artist or album back to the values they had before an audited
+// edit. The revert is itself audited, pointing to the entry it undid. Returns null when
+// the entry does not belong to that item.
+async function revertirCambio(entidad, idEntidad, idAuditoria, { actor } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const entradaResult = await client.query(
+      `
+        SELECT id_auditoria, accion, antes
+        FROM auditoria
+        WHERE id_auditoria = $1 AND entidad = $2 AND id_entidad = $3
+      `,
+      [idAuditoria, entidad, idEntidad]
+    );
+
+    if (entradaResult.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const entrada = entradaResult.rows[0];
+
+    if (!AUDITORIA_ACCIONES_REVERTIBLES.includes(entrada.accion)) {
+      const notRevertibleError = new Error(`Audit entries with accion ${entrada.accion} cannot be reverted`);
+      notRevertibleError.code = 'AUDITORIA_NOT_REVERTIBLE';
+      notRevertibleError.accion = entrada.accion;
+      throw notRevertibleError;
+    }
+
+    // Song changes leave the album fields as they were, so setting them back would undo nothing
+    if (entrada.antes && Object.prototype.hasOwnProperty.call(entrada.antes, 'cancion')) {
+      const songError = new Error('Song changes are undone through the song endpoints');
+      songError.code = 'AUDITORIA_CAMBIO_CANCION';
+      throw songError;
+    }
+
+    const opciones = { actor, accion: 'revertir', revierteA: entrada.id_auditoria };
+    const revertido = entidad === 'artista'
+      ? await applyArtistaUpdate(client, idEntidad, entrada.antes, opciones)
+      : await applyAlbumUpdate(client, idEntidad, entrada.antes, opciones);
+
+    if (!revertido) {
+      const trashedError = new Error(`The ${entidad} is not live`);
+      trashedError.code = 'AUDITORIA_ENTIDAD_NOT_LIVE';
+      throw trashedError;
+    }
+
+    await client.query('COMMIT');
+
+    return revertido;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    const duplicateError = uniqueViolationError(error);
+
+    if (duplicateError) {
+      throw duplicateError;
+    }
+
+    if (error.code === '23503') {
+      const fkError = new Error('Specified artista does not exist');
+      fkError.code = 'ARTISTA_NOT_FOUND';
+      throw fkError;
+    }
+
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Import artist/album rows in a single transaction. Artists are resolved by name
+// (case-insensitive) and created when missing; albums whose title already exists are
+// skipped. Returns a report per row; with dryRun everything is rolled back.
+async function importColeccion(filas, { dryRun = false, actor } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const artistasPorNombre = new Map();
+    const reporte = [];
+
+    for (const fila of filas) {
+      const { referencia, motivo } = fila;
+
+      if (motivo) {
+        reporte.push({ referencia, estado: 'invalido', motivo });
+        continue;
+      }
+
+      const claveArtista = fila.nombre.toLowerCase();
+      let artista = artistasPorNombre.get(claveArtista);
+
+      if (!artista) {
+        const existing = await client.query(
+          `
+            SELECT id_artista, nombre, genero_musica
+            FROM artista
+            WHERE LOWER(nombre) = LOWER($1) AND eliminado_en IS NULL
+            LIMIT 1
+          `,
+          [fila.nombre]
+        );
+
+        if (existing.rowCount > 0) {
+          artista = { ...existing.rows[0], creado: false };
+        } else {
+          const generos = await resolverGeneros(client, [fila.genero_musica]);
+          const inserted = await client.query(
+            `
+              INSERT INTO artista (nombre, genero_musica)
+              VALUES ($1, $2)
+              RETURNING id_artista, nombre, genero_musica
+            `,
+            [fila.nombre, generos[0].nombre]
+          );
+          await replaceGenerosArtista(client, inserted.rows[0].id_artista, generos);
+          await registrarAuditoria(client, actor, [
+            { entidad: 'artista', idEntidad: inserted.rows[0].id_artista, accion: 'crear', despues: inserted.rows[0] }
+          ]);
+          artista = { ...inserted.rows[0], creado: true };
+        }
+
+        artistasPorNombre.set(claveArtista, artista);
+      }
+
+      // Artist-only rows just make sure the artist exists
+      if (!fila.titulo_album) {
+        reporte.push(
+          artista.creado
+            ? { referencia, estado: 'creado', artista }
+            : { referencia, estado: 'duplicado', motivo: 'El artista ya existe', artista }
+        );
+        continue;
+      }
+
+      // Albums inserted earlier in this import are visible to the check as well
+      if (await isAlbumTituloDuplicado(client, fila.titulo_album)) {
+        reporte.push({
+          referencia,
+          estado: 'duplicado',
+          motivo: 'Ya existe un album con ese titulo',
+          artista
+        });
+        continue;
+      }
+
+      const album = await client.query(
+        `
+          INSERT INTO albumes (titulo_album, anio_album, id_artista)
+          VALUES ($1, $2, $3)
+          RETURNING id_album, titulo_album, anio_album, id_artista
+        `,
+        [fila.titulo_album, fila.anio_album, artista.id_artista]
+      );
+      await registrarAuditoria(client, actor, [
+        { entidad: 'album', idEntidad: album.rows[0].id_album, accion: 'crear', despues: album.rows[0] }
+      ]);
+
+      reporte.push({ referencia, estado: 'creado', artista, album: album.rows[0] });
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
+    return reporte;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    throw new Error(`Failed to import coleccion: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Oldest release year the integrity check accepts; the newest is next year
+const INTEGRIDAD_ANIO_MINIMO = 1900;
+
+// Look for data the API would not produce today: live albums whose artist is missing or in
+// the papelera, release years outside [anioMinimo, anioMaximo], and album titles that only
+// differ in case or surrounding spaces (possible on databases older than migration 4)
+async function checkIntegridad({
+  anioMinimo = INTEGRIDAD_ANIO_MINIMO,
+  anioMaximo = new Date().getFullYear() + 1
+} = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const huerfanos = await client.query(
+      `
+        SELECT al.id_album, al.titulo_album, al.id_artista, ar.eliminado_en AS artista_eliminado_en
+        FROM albumes al
+        LEFT JOIN artista ar ON ar.id_artista = al.id_artista
+        WHERE al.eliminado_en IS NULL
+          AND (ar.id_artista IS NULL OR ar.eliminado_en IS NOT NULL)
+        ORDER BY al.id_album
+      `
+    );
+
+    const aniosInvalidos = await client.query(
+      `
+        SELECT id_album, titulo_album, anio_album
+        FROM albumes
+        WHERE anio_album IS NULL OR anio_album < $1 OR anio_album > $2
+        ORDER BY id_album
+      `,
+      [anioMinimo, anioMaximo]
+    );
+
+    const titulosDuplicados = await client.query(
+      `
+        SELECT
+          LOWER(BTRIM(titulo_album)) AS titulo,
+          array_agg(id_album ORDER BY id_album) AS ids_album
+        FROM albumes
+        GROUP BY LOWER(BTRIM(titulo_album))
+        HAVING COUNT(*) > 1
+        ORDER BY titulo
+      `
+    );
+
+    return {
+      anio_minimo: anioMinimo,
+      anio_maximo: anioMaximo,
+      albumes_huerfanos: huerfanos.rows,
+      anios_invalidos: aniosInvalidos.rows,
+      titulos_duplicados: titulosDuplicados.rows
+    };
+  } catch (error) {
+    throw new Error(`Failed to check integridad: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Retrieve a page of the genre catalogue, alphabetically, with how many live artists
+// have each genre
+async function getGeneros({ limit = DEFAULT_PAGE_LIMIT, offset = 0 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const countResult = await client.query('SELECT COUNT(*)::int AS total FROM generos');
+
+    const result = await client.query(
+      `
+        SELECT g.id_genero, g.nombre, COUNT(a.id_artista)::int AS total_artistas
+        FROM generos g
+        LEFT JOIN artista_generos ag ON ag.id_genero = g.id_genero
+        LEFT JOIN artista a ON a.id_artista = ag.id_artista AND a.eliminado_en IS NULL
+        GROUP BY g.id_genero, g.nombre
+        ORDER BY LOWER(g.nombre), g.id_genero
+        LIMIT $1 OFFSET $2
+      `,
+      [Math.min(limit, MAX_PAGE_LIMIT), offset]
+    );
+
+    return {
+      generos: result.rows,
+      total: countResult.rows[0].total
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch generos: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Retrieve a single genre with how many live artists have it
+async function getGeneroPorId(idGenero) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(
+      `
+        SELECT g.id_genero, g.nombre, COUNT(a.id_artista)::int AS total_artistas
+        FROM generos g
+        LEFT JOIN artista_generos ag ON ag.id_genero = g.id_genero
+        LEFT JOIN artista a ON a.id_artista = ag.id_artista AND a.eliminado_en IS NULL
+        WHERE g.id_genero = $1
+        GROUP BY g.id_genero, g.nombre
+      `,
+      [idGenero]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    throw new Error(`Failed to fetch genero: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Genre names are unique ignoring case, like artist names
+const duplicateGeneroError = () => {
+  const duplicateError = new Error('Genre name already exists');
+  duplicateError.code = 'GENERO_DUPLICATE_NAME';
+  return duplicateError;
+};
+
+// Add a genre to the catalogue
+async function createGenero({ nombre }) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(
+      'INSERT INTO generos (nombre) VALUES ($1) RETURNING id_genero, nombre',
+      [normalizarGenero(nombre)]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      throw duplicateGeneroError();
+    }
+
+    throw new Error(`Failed to create genero: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Rename a genre. Artists whose principal genre it is show the new name in genero_musica,
+// which is an audited edit of each of them. Returns null when the genre does not exist.
+async function updateGenero(idGenero, { nombre }, { actor } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT id_genero, nombre FROM generos WHERE id_genero = $1 FOR UPDATE',
+      [idGenero]
+    );
+
+    if (current.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const limpio = normalizarGenero(nombre);
+
+    if (current.rows[0].nombre === limpio) {
+      await client.query('ROLLBACK');
+      return current.rows[0];
+    }
+
+    const result = await client.query(
+      'UPDATE generos SET nombre = $1 WHERE id_genero = $2 RETURNING id_genero, nombre',
+      [limpio, idGenero]
+    );
+
+    // Trashed artists follow too, so restoring them brings back a consistent row
+    const artistas = await client.query(
+      `
+        SELECT id_artista, nombre, genero_musica, version
+        FROM artista
+        WHERE id_artista IN (SELECT id_artista FROM artista_generos WHERE id_genero = $1 AND principal)
+        ORDER BY id_artista
+        FOR UPDATE
+      `,
+      [idGenero]
+    );
+    const renombrados = await client.query(
+      `
+        UPDATE artista
+        SET genero_musica = $1, version = version + 1
+        WHERE id_artista IN (SELECT id_artista FROM artista_generos WHERE id_genero = $2 AND principal)
+        RETURNING id_artista, nombre, genero_musica, version
+      `,
+      [limpio, idGenero]
+    );
+
+    await registrarAuditoria(client, actor, renombrados.rows.map(despues => ({
+      entidad: 'artista',
+      idEntidad: despues.id_artista,
+      accion: 'actualizar',
+      antes: artistas.rows.find(antes => antes.id_artista === despues.id_artista),
+      despues
+    })));
+    await client.query('COMMIT');
+
+    return result.rows[0];
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    if (error.code === '23505') {
+      throw duplicateGeneroError();
+    }
+
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Remove a genre from the catalogue and from the artists that have it as a secondary
+// genre. It cannot go while it is any artist's principal genre, trashed artists included,
+// since genero_musica would be left pointing nowhere. Returns null when it does not exist.
+async function deleteGenero(idGenero) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT id_genero, nombre FROM generos WHERE id_genero = $1 FOR UPDATE',
+      [idGenero]
+    );
+
+    if (current.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const principales = await client.query(
+      `
+        SELECT a.id_artista, a.nombre, a.genero_musica, a.eliminado_en
+        FROM artista a
+        JOIN artista_generos ag ON ag.id_artista = a.id_artista
+        WHERE ag.id_genero = $1 AND ag.principal
+        ORDER BY a.nombre, a.id_artista
+      `,
+      [idGenero]
+    );
+
+    if (principales.rowCount > 0) {
+      const inUseError = new Error('Cannot delete a genre that is the principal genre of an artist');
+      inUseError.code = 'GENERO_IN_USE';
+      inUseError.artistas = principales.rows;
+      throw inUseError;
+    }
+
+    await client.query('DELETE FROM generos WHERE id_genero = $1', [idGenero]);
+    await client.query('COMMIT');
+
+    return current.rows[0];
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Retrieve a page of the live artists that have a genre, principal or not. Returns null
+// when the genre does not exist.
+async function getArtistasPorGenero(idGenero, { limit = DEFAULT_PAGE_LIMIT, offset = 0 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const generoResult = await client.query(
+      'SELECT id_genero, nombre FROM generos WHERE id_genero = $1',
+      [idGenero]
+    );
+
+    if (generoResult.rowCount === 0) {
+      return null;
+    }
+
+    const countResult = await client.query(
+      `
+        SELECT COUNT(*)::int AS total
+        FROM artista_generos ag
+        JOIN artista a ON a.id_artista = ag.id_artista
+        WHERE ag.id_genero = $1 AND a.eliminado_en IS NULL
+      `,
+      [idGenero]
+    );
+
+    const result = await client.query(
+      `
+        SELECT a.id_artista, a.nombre, a.genero_musica, ag.principal
+        FROM artista_generos ag
+        JOIN artista a ON a.id_artista = ag.id_artista
+        WHERE ag.id_genero = $1 AND a.eliminado_en IS NULL
+        ORDER BY a.nombre, a.id_artista
+        LIMIT $2 OFFSET $3
+      `,
+      [idGenero, Math.min(limit, MAX_PAGE_LIMIT), offset]
+    );
+
+    return {
+      genero: generoResult.rows[0],
+      artistas: result.rows,
+      total: countResult.rows[0].total
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch artistas por genero: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Genres of a live artist, the principal one first. Returns null when the artist does not
+// exist or is in the trash.
+async function getGenerosPorArtista(idArtista) {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const artistaResult = await client.query(
+      'SELECT 1 FROM artista WHERE id_artista = $1 AND eliminado_en IS NULL',
+      [idArtista]
+    );
+
+    if (artistaResult.rowCount === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `
+        SELECT g.id_genero, g.nombre, ag.principal
+        FROM artista_generos ag
+        JOIN generos g ON g.id_genero = ag.id_genero
+        WHERE ag.id_artista = $1
+        ORDER BY ag.principal DESC, LOWER(g.nombre)
+      `,
+      [idArtista]
+    );
+
+    return result.rows;
+  } catch (error) {
+    throw new Error(`Failed to fetch generos del artista: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Replace the genres of a live artist with catalogue genres, the first becoming the
+// principal one and genero_musica. Returns the artist, null when it does not exist or is
+// in the trash.
+async function setGenerosArtista(idArtista, idsGenero, { actor, versionesEsperadas } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const placeholders = idsGenero.map((id, index) => `$${index + 1}`).join(', ');
+    const generosResult = await client.query(
+      `SELECT id_genero, nombre FROM generos WHERE id_genero IN (${placeholders})`,
+      idsGenero
+    );
+    const faltantes = idsGenero.filter(id => !generosResult.rows.some(genero => genero.id_genero === id));
+
+    if (faltantes.length > 0) {
+      const notFoundError = new Error('Specified generos do not exist');
+      notFoundError.code = 'GENERO_NOT_FOUND';
+      notFoundError.ids = [...new Set(faltantes)];
+      throw notFoundError;
+    }
+
+    const generos = idsGenero.map(id => generosResult.rows.find(genero => genero.id_genero === id).nombre);
+    const artista = await applyArtistaUpdate(client, idArtista, { generos }, { actor, versionesEsperadas });
+
+    await client.query('COMMIT');
+
+    return artista;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Cached reads by namespace, and the namespaces each kind of write makes stale. The artist
+// listing has no album data, so album and song writes leave it alone; the album listing
+// filters by artist genre and sums song durations, and the statistics ignore songs.
+// Nothing cached shows trashed rows, so purging the trash invalidates nothing. Artist
+// listings filter by genre and show the principal one, so genre renames and removals
+// count as artist writes.
+const CACHE_INVALIDA = {
+  artista: ['coleccion', 'mi_coleccion', 'artistas', 'albumes', 'estadisticas', 'mejor_valorados'],
+  album: ['coleccion', 'mi_coleccion', 'albumes', 'estadisticas', 'mejor_valorados'],
+  cancion: ['coleccion', 'mi_coleccion', 'albumes'],
+  propiedad: ['mi_coleccion'],
+  resena: ['albumes', 'mejor_valorados']
+};
+
+// Writes that found nothing to change return null and keep the cache
+const invalidaSiCambio = (namespaces) => (result) => (result ? namespaces : []);
+
+// Personal collections are cached apart, so changing one does not drop the shared one
+const getColeccionCompartida = cache.wrap('coleccion', getColeccionMusical);
+const getColeccionPersonal = cache.wrap('mi_coleccion', getColeccionMusical);
+
 module.exports = {
+  pool,
+  DB_DRIVER,
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  PAPELERA_RETENCION_DIAS,
+  SEARCH_AUTO_MATCH_THRESHOLD,
   testDatabaseConnection,
-  getColeccionMusical,
-  getArtistas,
-  getAlbumes,
+  pingDatabase,
+  getColeccionMusical: (opciones = {}) =>
+    (opciones.idUsuario ? getColeccionPersonal : getColeccionCompartida)(opciones),
+  streamColeccionMusical,
+  getArtistas: cache.wrap('artistas', getArtistas),
+  getAlbumes: cache.wrap('albumes', getAlbumes),
+  getEstadisticas: cache.wrap('estadisticas', getEstadisticas),
   findArtistaPorNombre,
+  findArtistasSimilares,
+  buscarColeccion,
+  getArtistaPorId,
+  getAlbumPorId,
   getAlbumesPorArtista,
-  createArtista,
-  updateArtista,
-  deleteArtista,
-  createAlbum,
-  updateAlbum,
-  deleteAlbum
+  getAlbumesPorArtistas,
+  getArtistasPorIds,
+  createArtista: cache.invalidating(CACHE_INVALIDA.artista, createArtista),
+  updateArtista: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.artista), updateArtista),
+  deleteArtista: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.artista), deleteArtista),
+  restaurarArtista: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.artista), restaurarArtista),
+  createAlbum: cache.invalidating(CACHE_INVALIDA.album, createAlbum),
+  updateAlbum: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.album), updateAlbum),
+  deleteAlbum: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.album), deleteAlbum),
+  setPortadaAlbum: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.album), setPortadaAlbum),
+  restaurarAlbum: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.album), restaurarAlbum),
+  getPapelera,
+  purgarPapelera,
+  getHistorial,
+  revertirCambio: cache.invalidating(
+    (result, entidad) => (result ? CACHE_INVALIDA[entidad] : []),
+    revertirCambio
+  ),
+  // A dry run rolls everything back
+  importColeccion: cache.invalidating(
+    (reporte, filas, { dryRun = false } = {}) => (dryRun ? [] : CACHE_INVALIDA.artista),
+    importColeccion
+  ),
+  checkIntegridad,
+  getGeneros,
+  getGeneroPorId,
+  createGenero,
+  updateGenero: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.artista), updateGenero),
+  deleteGenero: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.artista), deleteGenero),
+  getArtistasPorGenero,
+  getGenerosPorArtista,
+  setGenerosArtista: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.artista), setGenerosArtista),
+  getCancionesPorAlbum,
+  createCancion: cache.invalidating(CACHE_INVALIDA.cancion, createCancion),
+  updateCancion: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.cancion), updateCancion),
+  deleteCancion: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.cancion), deleteCancion),
+  getResenas,
+  createResena: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.resena), createResena),
+  updateResena: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.resena), updateResena),
+  deleteResena: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.resena), deleteResena),
+  getMejorValorados: cache.wrap('mejor_valorados', getMejorValorados),
+  createUsuario,
+  bootstrapAdmin,
+  findUsuarioPorEmail,
+  getUsuarioPorId,
+  updateUsuarioRol,
+  addAlbumAColeccion: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.propiedad), addAlbumAColeccion),
+  updateAlbumEnColeccion: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.propiedad), updateAlbumEnColeccion),
+  removeAlbumDeColeccion: cache.invalidating(invalidaSiCambio(CACHE_INVALIDA.propiedad), removeAlbumDeColeccion)
 };
@@ -0,0 +1,226 @@
+// Database drivers behind config/database.js. The repository only needs a pool-like object:
+// connect() resolving to a client with query(text, values) and release(), end(), info
+// describing the database for /api/health/diagnostico, and stats() with the connections in
+// use for /metrics and the health checks. Both drivers run the same PostgreSQL SQL, so
+// constraint violations carry the same SQLSTATE codes and every domain error behaves alike.
+const DB_DRIVER = process.env.DB_DRIVER || 'postgres';
+
+// Connection settings from DATABASE_URL or the DB_* variables. Missing variables are
+// reported on first use rather than on import, so the app can load without a database.
+function readPostgresConfig() {
+  // Render provides DATABASE_URL for PostgreSQL
+  if (process.env.DATABASE_URL) {
+    return {
+      connectionString: process.env.DATABASE_URL,
+      ssl: {
+        rejectUnauthorized: false
+      }
+    };
+  }
+
+  const requiredEnvVars = ['DB_HOST', 'DB_NAME', 'DB_USER', 'DB_PASSWORD'];
+  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+
+  if (missingVars.length > 0) {
+    throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+  }
+
+  return {
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT || 5432,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: {
+      rejectUnauthorized: false
+    }
+  };
+}
+
+// A pg Pool created on first connect
+function createPostgresPool() {
+  let pool;
+
+  const getPool = () => {
+    if (!pool) {
+      const { Pool } = require('pg');
+      pool = new Pool(readPostgresConfig());
+    }
+
+    return pool;
+  };
+
+  return {
+    info: {
+      driver: 'postgres',
+      host: process.env.DATABASE_URL ? undefined : process.env.DB_HOST,
+      database: process.env.DATABASE_URL ? undefined : process.env.DB_NAME
+    },
+
+    connect: async () => getPool().connect(),
+
+    // Before the first connect there is no pool, and nothing in use
+    stats: () => ({
+      total: pool ? pool.totalCount : 0,
+      idle: pool ? pool.idleCount : 0,
+      waiting: pool ? pool.waitingCount : 0,
+      max: pool ? pool.options.max : 0
+    }),
+
+    async end() {
+      if (pool) {
+        await pool.end();
+      }
+    }
+  };
+}
+
+// Hand out one client at a time: the embedded database has a single session, so a second
+// request must not slip its statements into another one's transaction. lock.state counts
+// the holder and the callers waiting.
+function createLock() {
+  let last = Promise.resolve();
+  const state = { held: 0, waiting: 0 };
+
+  const lock = () => {
+    let unlock;
+    const held = new Promise(resolve => { unlock = resolve; });
+    state.waiting += 1;
+    const acquired = last.then(() => {
+      state.waiting -= 1;
+      state.held = 1;
+      return () => {
+        state.held = 0;
+        unlock();
+      };
+    });
+    last = last.then(() => held);
+    return acquired;
+  };
+
+  lock.state = state;
+  return lock;
+}
+
+// pg-cursor objects only run on node-postgres; read them through an SQL cursor instead.
+// The cursor lives in a read-only transaction that close() rolls back.
+function createSqlCursor(run, { text, values }, name) {
+  let opened;
+
+  const open = () => {
+    opened = opened || (async () => {
+      await run('BEGIN');
+      await run(`DECLARE ${name} NO SCROLL CURSOR FOR ${text}`, values);
+    })();
+    return opened;
+  };
+
+  return {
+    async read(count) {
+      await open();
+      return (await run(`FETCH ${Number.parseInt(count, 10)} FROM ${name}`)).rows;
+    },
+
+    async close() {
+      if (opened) {
+        await opened.catch(() => {});
+        await run('ROLLBACK');
+      }
+    }
+  };
+}
+
+// PostgreSQL compiled to WebAssembly (PGlite), in memory or persisted to dataDir. Needs the
+// optional @electric-sql/pglite package. Types are parsed like node-postgres does, so
+// bigint and numeric values stay strings on both drivers.
+function createEmbeddedPool({ dataDir = process.env.EMBEDDED_DB_DIR } = {}) {
+  const { PGlite, types } = require('@electric-sql/pglite');
+  const { pg_trgm } = require('@electric-sql/pglite/contrib/pg_trgm');
+  const { unaccent } = require('@electric-sql/pglite/contrib/unaccent');
+
+  const identity = (value) => value;
+  const ready = PGlite.create({
+    dataDir,
+    extensions: { pg_trgm, unaccent },
+    parsers: { [types.INT8]: identity, [types.NUMERIC]: identity }
+  });
+  // A database that fails to open is reported by connect()
+  ready.catch(() => {});
+  const lock = createLock();
+  let cursorCount = 0;
+
+  // Statements without parameters may hold several commands (migrations); pg returns the
+  // result of the last one
+  const run = async (text, values) => {
+    const db = await ready;
+
+    if (values && values.length > 0) {
+      return db.query(text, values);
+    }
+
+    const results = await db.exec(text);
+    return results[results.length - 1] || { rows: [], rowCount: 0 };
+  };
+
+  return {
+    info: {
+      driver: 'embedded',
+      database: dataDir || 'memory'
+    },
+
+    stats: () => ({
+      total: 1,
+      idle: 1 - lock.state.held,
+      waiting: lock.state.waiting,
+      max: 1
+    }),
+
+    async connect() {
+      await ready;
+      const unlock = await lock();
+      let released = false;
+
+      return {
+        query(text, values) {
+          if (typeof text.submit === 'function') {
+            cursorCount += 1;
+            return createSqlCursor(run, text, `export_cursor_${cursorCount}`);
+          }
+
+          return run(text, values);
+        },
+
+        release() {
+          if (!released) {
+            released = true;
+            unlock();
+          }
+        }
+      };
+    },
+
+    async end() {
+      await (await ready).close();
+    }
+  };
+}
+
+// Build the pool for DB_DRIVER: postgres (default) or embedded
+function createPoolFromEnv() {
+  if (DB_DRIVER === 'postgres') {
+    return createPostgresPool();
+  }
+
+  if (DB_DRIVER === 'embedded') {
+    return createEmbeddedPool();
+  }
+
+  throw new Error(`Unknown DB_DRIVER "${DB_DRIVER}", use postgres or embedded`);
+}
+
+module.exports = {
+  DB_DRIVER,
+  createPoolFromEnv,
+  createPostgresPool,
+  createEmbeddedPool
+};
@@ -0,0 +1,50 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logs: one JSON object per line on stdout with time, level and msg, plus the
+// request_id of the request being served, if any, and the fields given. Entries below
+// LOG_LEVEL (debug, info, warn or error; info by default) are dropped.
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_LEVEL = LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Request-scoped fields (the request id) for everything logged while serving it, down to
+// the database queries
+const requestContext = new AsyncLocalStorage();
+
+// Errors are not JSON-serializable as they are; keep their message, code and stack
+const serializeField = (value) =>
+  value instanceof Error ? { message: value.message, code: value.code, stack: value.stack } : value;
+
+function createLogger({ level = LOG_LEVEL, write = (line) => process.stdout.write(`${line}\n`) } = {}) {
+  const threshold = LEVELS.indexOf(level);
+
+  const log = (entryLevel, msg, fields = {}) => {
+    if (LEVELS.indexOf(entryLevel) < threshold) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...requestContext.getStore() };
+
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = serializeField(value);
+    });
+
+    write(JSON.stringify(entry));
+  };
+
+  return {
+    level,
+    isEnabled: (entryLevel) => LEVELS.indexOf(entryLevel) >= threshold,
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields)
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  requestContext
+};
@@ -0,0 +1,84 @@
+const client = require('prom-client');
+
+// Prometheus metrics served at /metrics: the process defaults of prom-client, HTTP requests
+// by route, database query durations and connection pool usage
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests served, by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to serve HTTP requests, by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Database query durations, by SQL command and outcome (ok or error)',
+  labelNames: ['operation', 'outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry]
+});
+
+// route is the Express route pattern (/api/v2/artistas/:id), never the raw path, so that
+// ids do not multiply the series
+const observeRequest = ({ method, route, status, durationSeconds }) => {
+  const labels = { method, route, status: String(status) };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+};
+
+const observeQuery = ({ operation, outcome, durationSeconds }) =>
+  dbQueryDuration.observe({ operation, outcome }, durationSeconds);
+
+// Report the pool returned by stats() ({ total, idle, waiting, max }) on every scrape
+function trackPool(stats) {
+  const read = (collect) =>
+    function () {
+      collect.call(this, stats());
+    };
+
+  new client.Gauge({
+    name: 'db_pool_connections',
+    help: 'Open database connections, by state (active or idle)',
+    labelNames: ['state'],
+    registers: [registry],
+    collect: read(function ({ total, idle }) {
+      this.set({ state: 'active' }, total - idle);
+      this.set({ state: 'idle' }, idle);
+    })
+  });
+
+  new client.Gauge({
+    name: 'db_pool_waiting_requests',
+    help: 'Requests waiting for a free database connection',
+    registers: [registry],
+    collect: read(function ({ waiting }) {
+      this.set(waiting);
+    })
+  });
+
+  new client.Gauge({
+    name: 'db_pool_max_connections',
+    help: 'Maximum number of database connections in the pool',
+    registers: [registry],
+    collect: read(function ({ max }) {
+      this.set(max);
+    })
+  });
+}
+
+module.exports = {
+  registry,
+  observeRequest,
+  observeQuery,
+  trackPool
+};
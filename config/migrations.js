@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./database');
+
+// Migration files live in /migrations and are named <version>_<name>.js, where each
+// module exports async up(client) and down(client) functions
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Arbitrary key for pg_advisory_lock so concurrent deploys never migrate at the same time
+const MIGRATIONS_LOCK_ID = 48151623;
+
+// Load every migration file, ordered by version
+function loadMigrations() {
+  const migrations = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return {
+        version: Number.parseInt(match[1], 10),
+        name: match[2],
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version INT PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+// Read applied versions without creating the tracking table, so status checks stay read-only
+async function getAppliedMigrations(client) {
+  const exists = await client.query('SELECT to_regclass($1) IS NOT NULL AS exists', [MIGRATIONS_TABLE]);
+
+  if (!exists.rows[0].exists) {
+    return [];
+  }
+
+  const result = await client.query(
+    `SELECT version, name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`
+  );
+
+  return result.rows;
+}
+
+// Wrap a failed migration so callers can tell which step broke
+function migrationError(direction, migration, error) {
+  const wrapped = new Error(
+    `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`
+  );
+  wrapped.code = 'MIGRATION_FAILED';
+  wrapped.version = migration.version;
+  return wrapped;
+}
+
+// Compare applied migrations with the files on disk
+async function getMigrationStatus() {
+  let client;
+  try {
+    client = await pool.connect();
+
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(client);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = migrations
+      .filter(migration => !appliedVersions.has(migration.version))
+      .map(({ version, name }) => ({ version, name }));
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      upToDate: pending.length === 0,
+      applied,
+      pending
+    };
+  } catch (error) {
+    throw new Error(`Failed to read migration status: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Apply pending migrations in order, each in its own transaction; stops after version `to` if given
+async function migrateUp({ to } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATIONS_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const applied = await getAppliedMigrations(client);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = loadMigrations().filter(
+      migration => !appliedVersions.has(migration.version) && (to === undefined || migration.version <= to)
+    );
+
+    const done = [];
+
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw migrationError('up', migration, error);
+      }
+
+      done.push({ version: migration.version, name: migration.name });
+    }
+
+    return done;
+  } finally {
+    if (client) {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATIONS_LOCK_ID]).catch(() => {});
+      client.release();
+    }
+  }
+}
+
+// Revert the most recently applied migrations, newest first
+async function migrateDown({ steps = 1 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATIONS_LOCK_ID]);
+
+    const migrationsByVersion = new Map(
+      loadMigrations().map(migration => [migration.version, migration])
+    );
+    const toRevert = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+
+    const done = [];
+
+    for (const row of toRevert) {
+      const migration = migrationsByVersion.get(row.version);
+
+      if (!migration) {
+        const missingError = new Error(`Applied migration ${row.version}_${row.name} has no file to revert it`);
+        missingError.code = 'MIGRATION_NOT_FOUND';
+        throw missingError;
+      }
+
+      try {
+        await client.query('BEGIN');
+        await migration.down(client);
+        await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw migrationError('down', migration, error);
+      }
+
+      done.push({ version: migration.version, name: migration.name });
+    }
+
+    return done;
+  } finally {
+    if (client) {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATIONS_LOCK_ID]).catch(() => {});
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown
+};
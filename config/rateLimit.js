@@ -0,0 +1,100 @@
+// Counters behind the rate limiter in middleware/rateLimit.js. A store only has to add one
+// to a key and return the new count, forgetting the key after ttlMs; the limiter puts the
+// client and the time window in the key, so each window starts from zero.
+const { logger } = require('./logger');
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+const KEY_PREFIX = 'coleccion_musical:ratelimit';
+
+// In-process counters. Expired keys are swept once a window at most, so the map stays as
+// large as the number of clients seen in the last window.
+function createMemoryStore() {
+  const counters = new Map();
+  let nextSweep = 0;
+
+  const sweep = (now) => {
+    counters.forEach(({ expiresAt }, key) => {
+      if (expiresAt <= now) {
+        counters.delete(key);
+      }
+    });
+  };
+
+  return {
+    name: 'memory',
+
+    async increment(key, ttlMs) {
+      const now = Date.now();
+
+      if (now >= nextSweep) {
+        sweep(now);
+        nextSweep = now + ttlMs;
+      }
+
+      const counter = counters.get(key);
+
+      if (!counter || counter.expiresAt <= now) {
+        counters.set(key, { count: 1, expiresAt: now + ttlMs });
+        return 1;
+      }
+
+      counter.count += 1;
+      return counter.count;
+    }
+  };
+}
+
+// Counters in a Redis-compatible server with the node-redis v4 API (multi, incr, pExpire),
+// shared by every instance behind the load balancer. Connects on first use like the cache
+// store does.
+function createRedisStore(client) {
+  const open = () => {
+    if (!client.isOpen) {
+      client.connect().catch(() => {});
+    }
+
+    return client;
+  };
+
+  return {
+    name: 'redis',
+
+    async increment(key, ttlMs) {
+      const redisKey = `${KEY_PREFIX}:${key}`;
+      const [count] = await open().multi().incr(redisKey).pExpire(redisKey, ttlMs).exec();
+
+      return Number(count);
+    }
+  };
+}
+
+// Build the store selected by RATE_LIMIT_STORE: memory (default, per process), redis (needs
+// the optional redis package and REDIS_URL) or none to disable rate limiting
+function createStoreFromEnv() {
+  if (RATE_LIMIT_STORE === 'none') {
+    return null;
+  }
+
+  if (RATE_LIMIT_STORE === 'memory') {
+    return createMemoryStore();
+  }
+
+  if (RATE_LIMIT_STORE === 'redis') {
+    const { createClient } = require('redis');
+    const client = createClient({ url: process.env.REDIS_URL, disableOfflineQueue: true });
+
+    client.on('error', (error) => logger.warn('Rate limit store error', { error: error.message }));
+
+    return createRedisStore(client);
+  }
+
+  throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}", use memory, redis or none`);
+}
+
+const store = createStoreFromEnv();
+
+module.exports = {
+  store,
+  createMemoryStore,
+  createRedisStore
+};
@@ -0,0 +1,129 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where uploaded files (album covers) live. Every store keeps files under slash-separated
+// keys and turns a key into the URL clients download it from; nothing but the key is kept
+// in the database, so the store can be moved behind another URL without touching rows.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+const LOCAL_PUBLIC_PATH = '/media';
+// Files are written under fresh keys instead of being overwritten, so they never change
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+const joinUrl = (base, key) => `${base.replace(/\/+$/, '')}/${key}`;
+
+// Files on local disk under directory, served by the app itself at LOCAL_PUBLIC_PATH unless
+// publicUrl points somewhere else (e.g. a reverse proxy serving the same directory)
+function createLocalStorage({ directory = STORAGE_DIR, publicUrl = process.env.STORAGE_PUBLIC_URL } = {}) {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+
+    if (!filePath.startsWith(`${directory}${path.sep}`)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory,
+    publicPath: LOCAL_PUBLIC_PATH,
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+    },
+
+    async removePrefix(prefix) {
+      await fs.rm(resolveKey(prefix), { recursive: true, force: true });
+    },
+
+    url: (key) => joinUrl(publicUrl || LOCAL_PUBLIC_PATH, key)
+  };
+}
+
+// Bucket on S3 or any S3-compatible service (MinIO, R2, ...) through an @aws-sdk/client-s3
+// client. The bucket (or a CDN in front of it) must be readable at publicUrl.
+function createS3Storage({ client, bucket, publicUrl, sdk }) {
+  const { PutObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } = sdk;
+
+  return {
+    name: 's3',
+
+    async put(key, body, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          CacheControl: IMMUTABLE_CACHE_CONTROL
+        })
+      );
+    },
+
+    async removePrefix(prefix) {
+      let ContinuationToken;
+
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: `${prefix}/`, ContinuationToken })
+        );
+        const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+
+        if (objects.length > 0) {
+          await client.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: objects, Quiet: true } }));
+        }
+
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+
+    url: (key) => joinUrl(publicUrl, key)
+  };
+}
+
+// Build the store selected by STORAGE_DRIVER: local (default) or s3 (needs the optional
+// @aws-sdk/client-s3 package, S3_BUCKET and STORAGE_PUBLIC_URL)
+function createStorageFromEnv() {
+  if (STORAGE_DRIVER === 'local') {
+    return createLocalStorage();
+  }
+
+  if (STORAGE_DRIVER === 's3') {
+    const missingVars = ['S3_BUCKET', 'STORAGE_PUBLIC_URL'].filter(varName => !process.env[varName]);
+
+    if (missingVars.length > 0) {
+      throw new Error(`Missing required environment variables for STORAGE_DRIVER=s3: ${missingVars.join(', ')}`);
+    }
+
+    const sdk = require('@aws-sdk/client-s3');
+    // Credentials come from the usual AWS_* variables or instance role; S3_ENDPOINT and
+    // S3_FORCE_PATH_STYLE are for S3-compatible services
+    const client = new sdk.S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+
+    return createS3Storage({
+      client,
+      bucket: process.env.S3_BUCKET,
+      publicUrl: process.env.STORAGE_PUBLIC_URL,
+      sdk
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}", use local or s3`);
+}
+
+const storage = createStorageFromEnv();
+
+module.exports = {
+  storage,
+  IMMUTABLE_CACHE_CONTROL,
+  createLocalStorage,
+  createS3Storage
+};
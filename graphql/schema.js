@@ -0,0 +1,318 @@
+const { buildSchema, GraphQLError } = require('graphql');
+const DataLoader = require('dataloader');
+const { hasRole } = require('../middleware/auth');
+const {
+  MAX_PAGE_LIMIT,
+  getArtistas,
+  getAlbumes,
+  getArtistaPorId,
+  getAlbumPorId,
+  getAlbumesPorArtistas,
+  getArtistasPorIds,
+  createArtista,
+  updateArtista,
+  deleteArtista,
+  createAlbum,
+  updateAlbum,
+  deleteAlbum
+} = require('../config/database');
+const { splitGeneros } = require('../utils/generos');
+
+// Field names follow the REST payloads so both APIs describe the same records
+const schema = buildSchema(`
+  type Artista {
+    id_artista: Int!
+    nombre: String!
+    genero_musica: String!
+    albumes: [Album!]!
+  }
+
+  type Album {
+    id_album: Int!
+    titulo_album: String!
+    anio_album: Int!
+    id_artista: Int!
+    duracion_total_segundos: Int
+    valoracion_media: Float
+    total_resenas: Int
+    portada_url: String
+    portada_miniaturas: PortadaMiniaturas
+    artista: Artista
+  }
+
+  type PortadaMiniaturas {
+    pequena: String!
+    mediana: String!
+    grande: String!
+  }
+
+  type PaginaArtistas {
+    total: Int!
+    artistas: [Artista!]!
+  }
+
+  type PaginaAlbumes {
+    total: Int!
+    albumes: [Album!]!
+  }
+
+  enum Orden {
+    asc
+    desc
+  }
+
+  enum OrdenArtistas {
+    id_artista
+    nombre
+    genero_musica
+  }
+
+  enum OrdenAlbumes {
+    id_album
+    titulo_album
+    anio_album
+    id_artista
+    valoracion_media
+  }
+
+  input ArtistaInput {
+    nombre: String!
+    genero_musica: String!
+  }
+
+  input ArtistaUpdateInput {
+    nombre: String
+    genero_musica: String
+  }
+
+  input AlbumInput {
+    titulo_album: String!
+    anio_album: Int!
+    id_artista: Int!
+  }
+
+  input AlbumUpdateInput {
+    titulo_album: String
+    anio_album: Int
+    id_artista: Int
+  }
+
+  type Query {
+    artistas(limit: Int, offset: Int, sort: OrdenArtistas, order: Orden, genero_musica: String): PaginaArtistas!
+    artista(id_artista: Int!): Artista
+    albumes(
+      limit: Int
+      offset: Int
+      sort: OrdenAlbumes
+      order: Orden
+      genero_musica: String
+      anio_desde: Int
+      anio_hasta: Int
+      id_artista: Int
+    ): PaginaAlbumes!
+    album(id_album: Int!): Album
+  }
+
+  type Mutation {
+    createArtista(input: ArtistaInput!): Artista!
+    updateArtista(id_artista: Int!, input: ArtistaUpdateInput!): Artista!
+    deleteArtista(id_artista: Int!, cascade: Boolean = false): Artista!
+    createAlbum(input: AlbumInput!): Album!
+    updateAlbum(id_album: Int!, input: AlbumUpdateInput!): Album!
+    deleteAlbum(id_album: Int!): Album!
+  }
+`);
+
+const MAX_TEXT_LENGTH = 100;
+
+// Error with the domain code in extensions.code, plus any extra detail the REST API
+// sends in data (conflicting albums, the conflicting artist, ...)
+const graphqlError = (message, code, extensions = {}) =>
+  new GraphQLError(message, { extensions: { code, ...extensions } });
+
+const requireRol = (context, rol) => {
+  if (!context.usuario) {
+    throw graphqlError('Autenticacion requerida', 'UNAUTHENTICATED');
+  }
+
+  if (!hasRole(context.usuario, rol)) {
+    throw graphqlError('Permisos insuficientes', 'FORBIDDEN', { required: rol, rol: context.usuario.rol });
+  }
+};
+
+// Keep domain errors, including their code and details; anything else is unexpected
+const toGraphqlError = (error) => {
+  if (error instanceof GraphQLError) {
+    return error;
+  }
+
+  if (typeof error.code === 'string' && /^[A-Z_]+$/.test(error.code)) {
+    const { albumes, conflicto } = error;
+    return graphqlError(error.message, error.code, {
+      ...(albumes && { albumes }),
+      ...(conflicto && { conflicto })
+    });
+  }
+
+  return graphqlError(error.message, 'INTERNAL_SERVER_ERROR');
+};
+
+// Resolve a field, turning thrown errors into GraphQL errors
+const resolver = (fn) => async (args, context) => {
+  try {
+    return await fn(args, context);
+  } catch (error) {
+    throw toGraphqlError(error);
+  }
+};
+
+// The same rules openapi.yaml applies to REST bodies: trimmed, non-blank, at most 100 characters
+const validText = (field, value) => {
+  const text = value.trim();
+
+  if (text.length === 0 || text.length > MAX_TEXT_LENGTH) {
+    throw graphqlError(`${field} debe tener entre 1 y ${MAX_TEXT_LENGTH} caracteres`, 'VALIDATION_ERROR', {
+      field
+    });
+  }
+
+  return text;
+};
+
+// Copy the fields present in input, validating text and dropping explicit nulls
+const validInput = (input, textFields) =>
+  Object.entries(input).reduce((values, [field, value]) => {
+    if (value !== null && value !== undefined) {
+      values[field] = textFields.includes(field) ? validText(field, value) : value;
+    }
+
+    return values;
+  }, {});
+
+// genero_musica has to name at least one genre, as openapi.yaml's GenreList requires
+const validGeneros = (values) => {
+  if (values.genero_musica !== undefined && splitGeneros(values.genero_musica).length === 0) {
+    throw graphqlError('genero_musica no nombra ningun genero', 'VALIDATION_ERROR', { field: 'genero_musica' });
+  }
+
+  return values;
+};
+
+const validPage = ({ limit, offset, ...filters }) => {
+  if (limit !== undefined && limit !== null && (limit < 1 || limit > MAX_PAGE_LIMIT)) {
+    throw graphqlError(`limit debe estar entre 1 y ${MAX_PAGE_LIMIT}`, 'VALIDATION_ERROR', { field: 'limit' });
+  }
+
+  if (offset !== undefined && offset !== null && offset < 0) {
+    throw graphqlError('offset no puede ser negativo', 'VALIDATION_ERROR', { field: 'offset' });
+  }
+
+  return validInput({ limit, offset, ...filters }, ['genero_musica']);
+};
+
+const requireFields = (values) => {
+  if (Object.keys(values).length === 0) {
+    throw graphqlError('No se proporcionaron campos para actualizar', 'VALIDATION_ERROR');
+  }
+
+  return values;
+};
+
+const notFound = (code, message) => {
+  throw graphqlError(message, code);
+};
+
+// Nested fields go through per-request loaders, so a page of artists costs one album
+// query however many artists it holds, and the same for album artists
+const createLoaders = () => {
+  const albumesPorArtista = new DataLoader(async (ids) => {
+    const albumes = await getAlbumesPorArtistas([...ids]);
+    return ids.map(id => albumes.filter(album => album.id_artista === id));
+  });
+
+  const artistaPorId = new DataLoader(async (ids) => {
+    const artistas = await getArtistasPorIds([...ids]);
+    return ids.map(id => artistas.find(artista => artista.id_artista === id) || null);
+  });
+
+  return { albumesPorArtista, artistaPorId };
+};
+
+// GraphQL calls function-valued properties to resolve a field, so records carry their
+// nested fields as loader calls
+const withArtistaFields = (artista) =>
+  artista && {
+    ...artista,
+    albumes: (args, context) =>
+      context.loaders.albumesPorArtista.load(artista.id_artista).then(albumes => albumes.map(withAlbumFields))
+  };
+
+const withAlbumFields = (album) =>
+  album && {
+    ...album,
+    artista: (args, context) =>
+      context.loaders.artistaPorId.load(album.id_artista).then(withArtistaFields)
+  };
+
+const rootValue = {
+  artistas: resolver(async (args) => {
+    const { artistas, total } = await getArtistas(validPage(args));
+    return { total, artistas: artistas.map(withArtistaFields) };
+  }),
+
+  artista: resolver(async ({ id_artista }) => withArtistaFields(await getArtistaPorId(id_artista))),
+
+  albumes: resolver(async (args) => {
+    const { albumes, total } = await getAlbumes(validPage(args));
+    return { total, albumes: albumes.map(withAlbumFields) };
+  }),
+
+  album: resolver(async ({ id_album }) => withAlbumFields(await getAlbumPorId(id_album))),
+
+  createArtista: resolver(async ({ input }, context) => {
+    requireRol(context, 'editor');
+    const artista = await createArtista(validGeneros(validInput(input, ['nombre', 'genero_musica'])), { actor: context.usuario });
+    return withArtistaFields(artista);
+  }),
+
+  updateArtista: resolver(async ({ id_artista, input }, context) => {
+    requireRol(context, 'editor');
+    const values = validGeneros(requireFields(validInput(input, ['nombre', 'genero_musica'])));
+    const artista = await updateArtista(id_artista, values, { actor: context.usuario });
+    return withArtistaFields(artista) || notFound('ARTISTA_NOT_FOUND', 'Artista no encontrado');
+  }),
+
+  deleteArtista: resolver(async ({ id_artista, cascade }, context) => {
+    requireRol(context, 'admin');
+    const eliminado = await deleteArtista(id_artista, { cascade, actor: context.usuario });
+    return eliminado ? withArtistaFields(eliminado.artista) : notFound('ARTISTA_NOT_FOUND', 'Artista no encontrado');
+  }),
+
+  createAlbum: resolver(async ({ input }, context) => {
+    requireRol(context, 'editor');
+    const album = await createAlbum(validInput(input, ['titulo_album']), { actor: context.usuario });
+    return withAlbumFields(album);
+  }),
+
+  updateAlbum: resolver(async ({ id_album, input }, context) => {
+    requireRol(context, 'editor');
+    const values = requireFields(validInput(input, ['titulo_album']));
+    const album = await updateAlbum(id_album, values, { actor: context.usuario });
+    return withAlbumFields(album) || notFound('ALBUM_NOT_FOUND', 'Album no encontrado');
+  }),
+
+  deleteAlbum: resolver(async ({ id_album }, context) => {
+    requireRol(context, 'admin');
+    const album = await deleteAlbum(id_album, { actor: context.usuario });
+    return withAlbumFields(album) || notFound('ALBUM_NOT_FOUND', 'Album no encontrado');
+  })
+};
+
+// Per-request context: the authenticated user and fresh loaders
+const createContext = (usuario) => ({ usuario, loaders: createLoaders() });
+
+module.exports = {
+  schema,
+  rootValue,
+  createContext
+};
@@ -0,0 +1,129 @@
+const jwt = require('jsonwebtoken');
+const { createResponse } = require('../utils/response');
+const { ROLES, hashPassword, verifyPassword } = require('../utils/usuarios');
+const { getUsuarioPorId } = require('../config/database');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+if (!process.env.JWT_SECRET) {
+  throw new Error('Missing required environment variables: JWT_SECRET');
+}
+
+// Issue a signed token carrying the user id, email and role
+const signToken = (usuario) =>
+  jwt.sign(
+    { sub: String(usuario.id_usuario), email: usuario.email, rol: usuario.rol },
+    process.env.JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+
+const hasRole = (usuario, rol) =>
+  Boolean(usuario) && ROLES.indexOf(usuario.rol) >= ROLES.indexOf(rol);
+
+// Attach req.usuario when a valid bearer token is present; requests without one continue
+// anonymously. The token only proves who the user is: the role is read from the database on
+// every request, so a role change or a deleted account applies at once rather than when the
+// token expires.
+const authenticate = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (!header) {
+    return next();
+  }
+
+  if (scheme !== 'Bearer' || !token) {
+    return res
+      .status(401)
+      .json(createResponse('error', 'Cabecera Authorization invalida, use Bearer <token>'));
+  }
+
+  let payload;
+
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res
+      .status(401)
+      .json(
+        createResponse('error', 'Token invalido o expirado', {
+          error: error.message
+        })
+      );
+  }
+
+  let usuario;
+
+  try {
+    usuario = await getUsuarioPorId(Number.parseInt(payload.sub, 10));
+  } catch (error) {
+    return res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al verificar el usuario', {
+          error: error.message
+        })
+      );
+  }
+
+  if (!usuario) {
+    return res.status(401).json(createResponse('error', 'El usuario del token ya no existe'));
+  }
+
+  req.usuario = {
+    id_usuario: usuario.id_usuario,
+    email: usuario.email,
+    rol: usuario.rol
+  };
+  next();
+};
+
+// The id of the user a bearer token was issued to, or null without a valid token. Only the
+// signature and expiry are checked, not the database like authenticate does, so it is cheap
+// enough for the rate limiter to run ahead of authentication.
+const tokenUsuarioId = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).sub;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Reject requests whose user does not hold at least the given role
+const requireRole = (rol) => (req, res, next) => {
+  if (!req.usuario) {
+    return res
+      .status(401)
+      .json(createResponse('error', 'Autenticacion requerida'));
+  }
+
+  if (!hasRole(req.usuario, rol)) {
+    return res
+      .status(403)
+      .json(
+        createResponse('error', 'Permisos insuficientes', {
+          required: rol,
+          rol: req.usuario.rol
+        })
+      );
+  }
+
+  next();
+};
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  hasRole,
+  tokenUsuarioId,
+  authenticate,
+  requireRole
+};
@@ -0,0 +1,26 @@
+// The unversioned catalogue routes (/api/agregar_artista, /api/artistas/:id, ...) are
+// superseded by /api/v2 and removed after API_V1_SUNSET. Until then they answer as before,
+// with Deprecation (RFC 9745) and Sunset (RFC 8594) headers and a Link to their successor.
+const API_V1_DEPRECATED_AT = new Date('2026-10-19T00:00:00Z');
+const API_V1_SUNSET = new Date(process.env.API_V1_SUNSET || '2027-04-30T00:00:00Z');
+
+if (Number.isNaN(API_V1_SUNSET.getTime())) {
+  throw new Error(`Invalid API_V1_SUNSET "${process.env.API_V1_SUNSET}", use an ISO 8601 date`);
+}
+
+// Mark a route as deprecated. successor maps the request to the /api/v2 URL replacing it.
+const deprecated = (successor) => (req, res, next) => {
+  res.set({
+    Deprecation: `@${Math.floor(API_V1_DEPRECATED_AT.getTime() / 1000)}`,
+    Sunset: API_V1_SUNSET.toUTCString(),
+    Link: `<${successor(req)}>; rel="successor-version"`
+  });
+
+  next();
+};
+
+module.exports = {
+  API_V1_DEPRECATED_AT,
+  API_V1_SUNSET,
+  deprecated
+};
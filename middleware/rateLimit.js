@@ -0,0 +1,99 @@
+const { parse, getOperationAST } = require('graphql');
+const { createResponse } = require('../utils/response');
+const { tokenUsuarioId } = require('./auth');
+const { logger } = require('../config/logger');
+const { store: defaultStore } = require('../config/rateLimit');
+
+// Requests allowed per client and window. Clients are users for requests with a valid bearer
+// token and IP addresses otherwise, so rejected tokens count against the address; writes (POST, PUT, PATCH, DELETE and GraphQL mutations) have a lower
+// limit than reads, and each kind is counted apart.
+const RATE_LIMIT_WINDOW_SECONDS = Number.parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60;
+const RATE_LIMIT_READ_MAX = Number.parseInt(process.env.RATE_LIMIT_READ_MAX, 10) || 300;
+const RATE_LIMIT_WRITE_MAX = Number.parseInt(process.env.RATE_LIMIT_WRITE_MAX, 10) || 30;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Probes poll from a handful of addresses and the docs are static
+const EXEMPT_PATHS = /^\/api\/(health|docs)(\/|$)/;
+
+// GraphQL queries and mutations are both POSTed, so the operation the request selects decides.
+// A document that does not parse, or where operationName picks no operation, counts as a
+// write: what it would run cannot be told.
+const isGraphqlMutation = (body) => {
+  let operation;
+
+  try {
+    operation = getOperationAST(parse(body.query), body.operationName);
+  } catch (error) {
+    return true;
+  }
+
+  return !operation || operation.operation !== 'query';
+};
+
+// GraphQL over GET only runs queries
+const isWrite = (req) =>
+  req.path === '/api/graphql' && req.method === 'POST'
+    ? isGraphqlMutation(req.body)
+    : !READ_METHODS.includes(req.method);
+
+// Fixed windows: every client starts from zero at the same boundaries, so the headers can
+// say when the limit resets. A failing store lets requests through and is logged, like the
+// cache does.
+function createRateLimiter({
+  store = defaultStore,
+  windowSeconds = RATE_LIMIT_WINDOW_SECONDS,
+  readMax = RATE_LIMIT_READ_MAX,
+  writeMax = RATE_LIMIT_WRITE_MAX
+} = {}) {
+  const windowMs = windowSeconds * 1000;
+
+  return async (req, res, next) => {
+    if (!store || EXEMPT_PATHS.test(req.path)) {
+      return next();
+    }
+
+    const bucket = isWrite(req) ? 'write' : 'read';
+    const limit = bucket === 'write' ? writeMax : readMax;
+    const idUsuario = tokenUsuarioId(req);
+    const client = idUsuario ? `usuario:${idUsuario}` : `ip:${req.ip}`;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+    let count;
+
+    try {
+      count = await store.increment(`${bucket}:${client}:${windowStart}`, windowMs);
+    } catch (error) {
+      logger.warn('Rate limit store error', { error: error.message });
+      return next();
+    }
+
+    // RateLimit-* as in the IETF httpapi rate limit headers draft
+    res.set({
+      'RateLimit-Policy': `${limit};w=${windowSeconds}`,
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(limit - count, 0)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json(
+        createResponse('error', 'Demasiadas solicitudes, intente de nuevo mas tarde', {
+          limite: limit,
+          ventana_segundos: windowSeconds,
+          reintentar_en_segundos: resetSeconds
+        })
+      );
+    }
+
+    next();
+  };
+}
+
+const rateLimit = createRateLimiter();
+
+module.exports = {
+  rateLimit,
+  createRateLimiter
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { logger, requestContext } = require('../config/logger');
+const { observeRequest } = require('../config/metrics');
+
+// Ids sent by a proxy or client in X-Request-Id are kept when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const UNMATCHED_ROUTE = '<unmatched>';
+// Polled every few seconds by scrapers and orchestrators; logged at debug so they do not
+// drown the other entries
+const PROBE_ROUTES = new Set(['/metrics', '/api/health/live', '/api/health/ready']);
+
+// The route pattern that served the request: the Express route, or the documented path
+// when the validator answered before any route ran
+const routeOf = (req) => {
+  if (req.route) {
+    // The root route of a mounted router is the mount path itself
+    return req.baseUrl && req.route.path === '/' ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+  }
+
+  return (req.openapi && req.openapi.expressRoute) || UNMATCHED_ROUTE;
+};
+
+// Give every request an id, returned in X-Request-Id, and log and measure it once the
+// response is sent or the client goes away. Handlers answer 500 with error.message in the
+// body, which is logged along with the status.
+const logRequests = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+  const start = process.hrtime.bigint();
+
+  req.id = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500 && body && body.data && body.data.error) {
+      res.locals.logError = body.data.error;
+    }
+
+    return json(body);
+  };
+
+  res.on('close', () => {
+    const durationSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = routeOf(req);
+    const aborted = !res.writableFinished;
+    const fields = {
+      request_id: req.id,
+      method: req.method,
+      route,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      duration_ms: Number((durationSeconds * 1000).toFixed(2)),
+      id_usuario: req.usuario ? req.usuario.id_usuario : undefined,
+      aborted: aborted || undefined,
+      error: res.locals.logError
+    };
+
+    observeRequest({ method: req.method, route, status: res.statusCode, durationSeconds });
+
+    if (res.statusCode >= 500) {
+      logger.error('Request failed', fields);
+    } else if (PROBE_ROUTES.has(route)) {
+      logger.debug('Request', fields);
+    } else {
+      logger.info('Request', fields);
+    }
+  });
+
+  next();
+};
+
+// Make the request id part of everything logged while the request is served, including
+// its database queries. Runs after the body parsers, whose callbacks lose the context.
+const bindRequestContext = (req, res, next) => requestContext.run({ request_id: req.id }, next);
+
+module.exports = {
+  logRequests,
+  bindRequestContext
+};
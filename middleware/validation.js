@@ -0,0 +1,98 @@
+const OpenApiValidator = require('express-openapi-validator');
+const { createResponse } = require('../utils/response');
+const { logger } = require('../config/logger');
+
+// Set OPENAPI_VALIDATE_RESPONSES=true during development to log responses that drift
+// from the documented schemas; they are still sent unchanged
+const VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES === 'true';
+
+// Validate path params, query strings and bodies against openapi.yaml. Query and path
+// values are coerced to their documented types, so handlers receive numbers and booleans.
+const createOpenApiValidator = (apiSpec) =>
+  OpenApiValidator.middleware({
+    // The validator resolves $refs in place, keep the document served by Swagger UI intact
+    apiSpec: JSON.parse(JSON.stringify(apiSpec)),
+    validateRequests: {
+      allErrors: true,
+      // Tolerate cache busters and similar extras; documented parameters are still checked
+      allowUnknownQueryParameters: true
+    },
+    validateResponses: VALIDATE_RESPONSES
+      ? {
+          onError: (error, body, req) => {
+            logger.warn('Response does not match openapi.yaml', {
+              method: req.method,
+              path: req.originalUrl,
+              error: error.message
+            });
+          }
+        }
+      : false,
+    validateSecurity: false,
+    // GraphQL validates its own documents against graphql/schema.js
+    ignorePaths: /^\/api\/(docs|graphql)/
+  });
+
+// Turn "/body/titulo_album" into { location: 'body', field: 'titulo_album' }
+const describeValidationError = ({ path = '', message }) => {
+  const [location, ...fieldPath] = path.replace(/^\//, '').split('/');
+  const missingProperty = /required property '([^']+)'/.exec(message);
+
+  return {
+    location,
+    field: missingProperty ? missingProperty[1] : fieldPath.join('.') || null,
+    message
+  };
+};
+
+// Render validator and body-parser errors with the common response envelope
+const validationErrorHandler = (error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res
+      .status(400)
+      .json(
+        createResponse('error', 'El cuerpo de la solicitud no es JSON valido', {
+          error: error.message
+        })
+      );
+  }
+
+  if (error.type === 'entity.too.large') {
+    return res
+      .status(413)
+      .json(
+        createResponse('error', 'El cuerpo de la solicitud es demasiado grande', {
+          limit: error.limit
+        })
+      );
+  }
+
+  if (!Array.isArray(error.errors) || !error.status) {
+    return next(error);
+  }
+
+  if (error.status === 404) {
+    return res
+      .status(404)
+      .json(createResponse('error', 'Ruta no encontrada', { path: req.path }));
+  }
+
+  if (error.status === 405) {
+    return res
+      .status(405)
+      .json(createResponse('error', 'Metodo no permitido', { method: req.method, path: req.path }));
+  }
+
+  res
+    .status(error.status)
+    .json(
+      createResponse('error', 'Solicitud invalida', {
+        errors: error.errors.map(describeValidationError)
+      })
+    );
+};
+
+module.exports = {
+  createOpenApiValidator,
+  validationErrorHandler
+};
@@ -0,0 +1,29 @@
+// Base artista and albumes tables. IF NOT EXISTS keeps this safe on databases that were
+// created by hand from the SQL that used to live in the README.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS artista (
+        id_artista INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        nombre VARCHAR(100) NOT NULL,
+        genero_musica VARCHAR(100) NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS albumes (
+        id_album INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        titulo_album VARCHAR(100) NOT NULL,
+        anio_album INT NOT NULL,
+        id_artista INT NOT NULL REFERENCES artista(id_artista)
+          ON UPDATE CASCADE
+          ON DELETE RESTRICT
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS albumes;
+      DROP TABLE IF EXISTS artista;
+    `);
+  }
+};
@@ -0,0 +1,16 @@
+// Extensions used by the accent-insensitive, typo-tolerant search
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE EXTENSION IF NOT EXISTS unaccent;
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP EXTENSION IF EXISTS pg_trgm;
+      DROP EXTENSION IF EXISTS unaccent;
+    `);
+  }
+};
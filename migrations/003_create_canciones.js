@@ -0,0 +1,22 @@
+// Track listings for albumes
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS canciones (
+        id_cancion INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        id_album INT NOT NULL REFERENCES albumes(id_album)
+          ON UPDATE CASCADE
+          ON DELETE RESTRICT,
+        numero_disco INT NOT NULL DEFAULT 1 CHECK (numero_disco > 0),
+        numero_pista INT NOT NULL CHECK (numero_pista > 0),
+        titulo_cancion VARCHAR(200) NOT NULL,
+        duracion_segundos INT CHECK (duracion_segundos >= 0),
+        UNIQUE (id_album, numero_disco, numero_pista)
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS canciones;');
+  }
+};
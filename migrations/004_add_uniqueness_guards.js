@@ -0,0 +1,20 @@
+// Case-insensitive uniqueness for artist names and album titles. Fails if the data
+// already holds duplicates; resolve them first (the error names the offending index).
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS artista_nombre_unique_ci
+        ON artista (LOWER(nombre));
+
+      CREATE UNIQUE INDEX IF NOT EXISTS albumes_titulo_unique_ci
+        ON albumes (LOWER(titulo_album));
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS albumes_titulo_unique_ci;
+      DROP INDEX IF EXISTS artista_nombre_unique_ci;
+    `);
+  }
+};
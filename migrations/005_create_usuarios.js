@@ -0,0 +1,23 @@
+// User accounts for authentication. Roles are cumulative: lector < editor < admin.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS usuarios (
+        id_usuario INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        email VARCHAR(254) NOT NULL,
+        nombre VARCHAR(100),
+        password_hash VARCHAR(100) NOT NULL,
+        rol VARCHAR(20) NOT NULL DEFAULT 'lector'
+          CHECK (rol IN ('lector', 'editor', 'admin')),
+        creado_en TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS usuarios_email_unique_ci
+        ON usuarios (LOWER(email));
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS usuarios;');
+  }
+};
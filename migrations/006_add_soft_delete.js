@@ -0,0 +1,44 @@
+// Deleted artists and albums are kept with an eliminado_en timestamp until they are purged.
+// Uniqueness only applies to live rows, so a trashed name can be reused; restoring checks it
+// again. An album is never live while its artist is trashed. Reverting permanently deletes
+// everything still in the trash.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE artista ADD COLUMN eliminado_en TIMESTAMPTZ;
+      ALTER TABLE albumes ADD COLUMN eliminado_en TIMESTAMPTZ;
+
+      DROP INDEX IF EXISTS artista_nombre_unique_ci;
+      CREATE UNIQUE INDEX artista_nombre_unique_ci
+        ON artista (LOWER(nombre)) WHERE eliminado_en IS NULL;
+
+      DROP INDEX IF EXISTS albumes_titulo_unique_ci;
+      CREATE UNIQUE INDEX albumes_titulo_unique_ci
+        ON albumes (LOWER(titulo_album)) WHERE eliminado_en IS NULL;
+
+      CREATE INDEX artista_eliminado_en_idx ON artista (eliminado_en) WHERE eliminado_en IS NOT NULL;
+      CREATE INDEX albumes_eliminado_en_idx ON albumes (eliminado_en) WHERE eliminado_en IS NOT NULL;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DELETE FROM canciones
+      WHERE id_album IN (SELECT id_album FROM albumes WHERE eliminado_en IS NOT NULL);
+      DELETE FROM albumes WHERE eliminado_en IS NOT NULL;
+      DELETE FROM artista WHERE eliminado_en IS NOT NULL;
+
+      DROP INDEX IF EXISTS albumes_eliminado_en_idx;
+      DROP INDEX IF EXISTS artista_eliminado_en_idx;
+
+      DROP INDEX IF EXISTS albumes_titulo_unique_ci;
+      CREATE UNIQUE INDEX albumes_titulo_unique_ci ON albumes (LOWER(titulo_album));
+
+      DROP INDEX IF EXISTS artista_nombre_unique_ci;
+      CREATE UNIQUE INDEX artista_nombre_unique_ci ON artista (LOWER(nombre));
+
+      ALTER TABLE albumes DROP COLUMN eliminado_en;
+      ALTER TABLE artista DROP COLUMN eliminado_en;
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+// Audit trail of every change to artists and albums. antes/despues hold the full row
+// before and after the change (null for creations and purges); revierte_a points to the
+// entry a revert undid.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auditoria (
+        id_auditoria INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        entidad VARCHAR(20) NOT NULL CHECK (entidad IN ('artista', 'album')),
+        id_entidad INT NOT NULL,
+        accion VARCHAR(20) NOT NULL
+          CHECK (accion IN ('crear', 'actualizar', 'eliminar', 'restaurar', 'purgar', 'revertir')),
+        antes JSONB,
+        despues JSONB,
+        id_usuario INT REFERENCES usuarios (id_usuario) ON DELETE SET NULL,
+        email_usuario VARCHAR(254),
+        revierte_a INT REFERENCES auditoria (id_auditoria) ON DELETE SET NULL,
+        creado_en TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS auditoria_entidad_idx
+        ON auditoria (entidad, id_entidad, id_auditoria);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS auditoria');
+  }
+};
@@ -0,0 +1,17 @@
+// Artists and albums carry a version that every edit increments. It is sent as the ETag
+// of single-resource responses and checked against If-Match before writes.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE artista ADD COLUMN version INT NOT NULL DEFAULT 1;
+      ALTER TABLE albumes ADD COLUMN version INT NOT NULL DEFAULT 1;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE albumes DROP COLUMN version;
+      ALTER TABLE artista DROP COLUMN version;
+    `);
+  }
+};
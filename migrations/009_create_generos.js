@@ -0,0 +1,96 @@
+// Genre catalogue with many genres per artist. Existing genero_musica strings are split on
+// commas, slashes and semicolons, trimmed and whitespace-collapsed, and matched
+// case-insensitively, so "Rock", "rock " and "ROCK" become one genre spelled the way most
+// artists had it. The first genre of each artist becomes its principal one.
+// artista.genero_musica stays as the name of the principal genre, which keeps the existing
+// payloads, filters and search working; the API keeps the two in step. The splitting rules
+// live in utils/generos.js, which the API uses for new values.
+const { SEPARADORES_GENERO, ESPACIOS_GENERO, SEPARADOR_GENEROS } = require('../utils/generos');
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS generos (
+        id_genero INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        nombre VARCHAR(100) NOT NULL
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS generos_nombre_unique_ci
+        ON generos (LOWER(nombre));
+
+      CREATE TABLE IF NOT EXISTS artista_generos (
+        id_artista INT NOT NULL REFERENCES artista (id_artista) ON DELETE CASCADE,
+        id_genero INT NOT NULL REFERENCES generos (id_genero) ON DELETE CASCADE,
+        principal BOOLEAN NOT NULL DEFAULT FALSE,
+        PRIMARY KEY (id_artista, id_genero)
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS artista_generos_un_principal
+        ON artista_generos (id_artista) WHERE principal;
+
+      CREATE INDEX IF NOT EXISTS artista_generos_genero_idx
+        ON artista_generos (id_genero, id_artista);
+    `);
+
+    await client.query(`
+      CREATE TEMPORARY TABLE generos_migrados ON COMMIT DROP AS
+      SELECT id_artista, orden, variante, LOWER(variante) AS clave
+      FROM (
+        SELECT
+          a.id_artista,
+          partes.orden,
+          regexp_replace(btrim(partes.parte), '${ESPACIOS_GENERO}', ' ', 'g') AS variante
+        FROM artista a
+        CROSS JOIN LATERAL regexp_split_to_table(a.genero_musica, '${SEPARADORES_GENERO}')
+          WITH ORDINALITY AS partes (parte, orden)
+      ) t
+      WHERE variante <> '';
+
+      INSERT INTO generos (nombre)
+      SELECT DISTINCT ON (clave) variante
+      FROM (
+        SELECT clave, variante, COUNT(*) AS usos
+        FROM generos_migrados
+        GROUP BY clave, variante
+      ) v
+      WHERE NOT EXISTS (SELECT 1 FROM generos g WHERE LOWER(g.nombre) = v.clave)
+      ORDER BY clave, usos DESC, variante;
+
+      INSERT INTO artista_generos (id_artista, id_genero, principal)
+      SELECT DISTINCT ON (m.id_artista, g.id_genero)
+        m.id_artista,
+        g.id_genero,
+        m.orden = MIN(m.orden) OVER (PARTITION BY m.id_artista)
+      FROM generos_migrados m
+      JOIN generos g ON LOWER(g.nombre) = m.clave
+      ORDER BY m.id_artista, g.id_genero, m.orden
+      ON CONFLICT DO NOTHING;
+
+      UPDATE artista a
+      SET genero_musica = g.nombre, version = a.version + 1
+      FROM artista_generos ag
+      JOIN generos g ON g.id_genero = ag.id_genero
+      WHERE ag.id_artista = a.id_artista AND ag.principal AND a.genero_musica <> g.nombre;
+    `);
+  },
+
+  // Without the catalogue genero_musica is the only place left for an artist's genres, so it
+  // gets all of them back as a list, principal first, before the tables go. A list too long
+  // for the column fails the rollback, which then leaves everything as it was.
+  async down(client) {
+    await client.query(`
+      UPDATE artista a
+      SET genero_musica = gen.generos, version = a.version + 1
+      FROM (
+        SELECT ag.id_artista, string_agg(g.nombre, '${SEPARADOR_GENEROS}' ORDER BY ag.principal DESC, LOWER(g.nombre)) AS generos
+        FROM artista_generos ag
+        JOIN generos g ON g.id_genero = ag.id_genero
+        GROUP BY ag.id_artista
+      ) gen
+      WHERE gen.id_artista = a.id_artista AND a.genero_musica <> gen.generos;
+
+      DROP TABLE IF EXISTS artista_generos;
+      DROP TABLE IF EXISTS generos;
+    `);
+  }
+};
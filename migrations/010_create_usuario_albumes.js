@@ -0,0 +1,24 @@
+// Personal collections: which albums of the shared catalogue each user owns, with when and
+// for how much they got them. Ownership goes with the user or with a purged album.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS usuario_albumes (
+        id_usuario INT NOT NULL REFERENCES usuarios (id_usuario) ON DELETE CASCADE,
+        id_album INT NOT NULL REFERENCES albumes (id_album) ON DELETE CASCADE,
+        fecha_adquisicion DATE,
+        precio_compra NUMERIC(10, 2) CHECK (precio_compra >= 0),
+        notas VARCHAR(1000),
+        agregado_en TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (id_usuario, id_album)
+      );
+
+      CREATE INDEX IF NOT EXISTS usuario_albumes_album_idx
+        ON usuario_albumes (id_album);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS usuario_albumes');
+  }
+};
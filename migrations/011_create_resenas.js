@@ -0,0 +1,22 @@
+// Album ratings (1 to 5) with an optional review text, at most one per user and album.
+// Reviews go with their user or with a purged album.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS resenas (
+        id_resena INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        id_album INT NOT NULL REFERENCES albumes (id_album) ON DELETE CASCADE,
+        id_usuario INT NOT NULL REFERENCES usuarios (id_usuario) ON DELETE CASCADE,
+        puntuacion SMALLINT NOT NULL CHECK (puntuacion BETWEEN 1 AND 5),
+        texto VARCHAR(5000),
+        creado_en TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        actualizado_en TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (id_album, id_usuario)
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS resenas');
+  }
+};
@@ -0,0 +1,27 @@
+// Album covers. portada holds the storage key of the uploaded original; its thumbnails sit
+// next to it under the same prefix (see utils/portadas.js). Cover changes are audited with
+// their own action, which cannot be reverted since the replaced files are deleted.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE albumes ADD COLUMN portada VARCHAR(255);
+
+      ALTER TABLE auditoria DROP CONSTRAINT IF EXISTS auditoria_accion_check;
+      ALTER TABLE auditoria ADD CONSTRAINT auditoria_accion_check
+        CHECK (accion IN ('crear', 'actualizar', 'eliminar', 'restaurar', 'purgar', 'revertir', 'portada'));
+    `);
+  },
+
+  // The stored files are left behind; remove the storage directory or bucket prefix by hand
+  async down(client) {
+    await client.query(`
+      DELETE FROM auditoria WHERE accion = 'portada';
+
+      ALTER TABLE auditoria DROP CONSTRAINT IF EXISTS auditoria_accion_check;
+      ALTER TABLE auditoria ADD CONSTRAINT auditoria_accion_check
+        CHECK (accion IN ('crear', 'actualizar', 'eliminar', 'restaurar', 'purgar', 'revertir'));
+
+      ALTER TABLE albumes DROP COLUMN portada;
+    `);
+  }
+};
@@ -0,0 +1,127 @@
+const express = require('express');
+const { createResponse } = require('../utils/response');
+const { requireRole } = require('../middleware/auth');
+const { pool, pingDatabase, testDatabaseConnection } = require('../config/database');
+const { getMigrationStatus } = require('../config/migrations');
+
+// Health endpoints, mounted at /api/health. /live and /ready are meant for orchestrator
+// probes and / for uptime monitors: they are public, so they only say which checks pass.
+// Versions, hosts, pool counts and error messages are left to the admin-only /diagnostico.
+const HEALTH_CHECK_TIMEOUT_MS = Number.parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+const STARTED_AT = new Date();
+
+// Every connection is in use and requests are queueing for one
+const poolExhausted = ({ total, idle, waiting, max }) => max > 0 && total - idle >= max && waiting > 0;
+
+// Run the readiness checks: a free connection, a database that answers within
+// HEALTH_CHECK_TIMEOUT_MS and no pending migrations. Later checks are skipped once one fails,
+// as they would only wait on the same problem. errors holds the reason of each failed check.
+async function checkReadiness() {
+  const checks = { pool: 'ok', database: 'skipped', migrations: 'skipped' };
+  const errors = {};
+  const poolStats = pool.stats();
+  let database;
+  let migrations;
+
+  if (poolExhausted(poolStats)) {
+    checks.pool = 'exhausted';
+    errors.pool = `${poolStats.waiting} requests waiting for one of ${poolStats.max} connections`;
+  } else {
+    try {
+      database = await pingDatabase({ timeoutMs: HEALTH_CHECK_TIMEOUT_MS });
+      checks.database = 'ok';
+    } catch (error) {
+      checks.database = 'error';
+      errors.database = error.message;
+    }
+  }
+
+  if (checks.database === 'ok') {
+    try {
+      const { currentVersion, latestVersion, upToDate, pending } = await getMigrationStatus();
+      migrations = { currentVersion, latestVersion, upToDate, pending };
+      checks.migrations = upToDate ? 'ok' : 'pending';
+    } catch (error) {
+      checks.migrations = 'error';
+      errors.migrations = error.message;
+    }
+  }
+
+  return {
+    ready: Object.values(checks).every(check => check === 'ok'),
+    checks,
+    errors,
+    poolStats,
+    database,
+    migrations
+  };
+}
+
+const router = express.Router();
+
+// Summary for uptime monitors. Pending migrations only make it a warning, since the
+// service still answers; a failing check makes it 503.
+router.get('/', async (req, res) => {
+  const { checks } = await checkReadiness();
+
+  if (checks.pool !== 'ok' || checks.database !== 'ok' || checks.migrations === 'error') {
+    return res.status(503).json(createResponse('error', 'Servicio no disponible', { checks }));
+  }
+
+  if (checks.migrations === 'pending') {
+    return res.json(createResponse('warning', 'Servicio disponible con migraciones pendientes', { checks }));
+  }
+
+  res.json(createResponse('success', 'Servicio disponible', { checks }));
+});
+
+// Liveness: the process is up and serving requests. It never touches the database, so a
+// database outage does not get the process restarted.
+router.get('/live', (req, res) => {
+  res.json(createResponse('success', 'Servicio activo'));
+});
+
+// Readiness: whether to send traffic here
+router.get('/ready', async (req, res) => {
+  const { ready, checks } = await checkReadiness();
+
+  if (!ready) {
+    return res.status(503).json(createResponse('error', 'Servicio no listo', { checks }));
+  }
+
+  res.json(createResponse('success', 'Servicio listo', { checks }));
+});
+
+// Everything the public endpoints leave out, for admins: the database server, the pool
+// counters, the latency of the check query, the pending migrations and the uptime
+router.get('/diagnostico', requireRole('admin'), async (req, res) => {
+  const { ready, checks, errors, poolStats, database, migrations } = await checkReadiness();
+  let servidor;
+
+  if (checks.database === 'ok') {
+    try {
+      const { currentTime, postgresVersion } = await testDatabaseConnection();
+      servidor = { currentTime, postgresVersion };
+    } catch (error) {
+      errors.database = error.message;
+    }
+  }
+
+  res.status(ready ? 200 : 503).json(
+    createResponse(ready ? 'success' : 'error', ready ? 'Diagnostico obtenido' : 'Servicio no listo', {
+      checks,
+      errors,
+      database: {
+        ...pool.info,
+        ...servidor,
+        latency_ms: database ? database.latency_ms : null
+      },
+      pool: poolStats,
+      migrations: migrations ?? null,
+      uptime_seconds: Math.floor((Date.now() - STARTED_AT.getTime()) / 1000),
+      started_at: STARTED_AT.toISOString()
+    })
+  );
+});
+
+module.exports = router;
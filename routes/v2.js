@@ -0,0 +1,311 @@
+const express = require('express');
+const { createResponse } = require('../utils/response');
+const { requireRole } = require('../middleware/auth');
+const { formatEtag, formatAlbumEtag, parseIfMatch } = require('../utils/etag');
+const { pickFields, respondVersionMismatch, buildPagination } = require('../utils/http');
+const {
+  getArtistas,
+  getArtistaPorId,
+  createArtista,
+  updateArtista,
+  deleteArtista,
+  getAlbumes,
+  getAlbumPorId,
+  createAlbum,
+  updateAlbum,
+  deleteAlbum
+} = require('../config/database');
+
+// Resource-oriented routes for artists and albums, mounted at /api/v2. Bodies and envelopes
+// are those of the unversioned routes; what changes is the URL layout: collections take
+// POST and answer 201 with a Location header, items take GET, PATCH, PUT and DELETE.
+const ARTISTA_FIELDS = ['nombre', 'genero_musica'];
+const ALBUM_FIELDS = ['titulo_album', 'anio_album', 'id_artista'];
+const ALBUM_LIST_PARAMS = ['limit', 'offset', 'sort', 'order', 'genero_musica', 'anio_desde', 'anio_hasta'];
+
+// Domain errors of artist and album writes, as [status, message, data]
+const WRITE_ERRORS = {
+  ARTISTA_DUPLICATE_NAME: [409, 'El nombre del artista ya existe', { field: 'nombre' }],
+  ALBUM_TITLE_EXISTS: [409, 'El titulo del album ya existe', { field: 'titulo_album' }],
+  ARTISTA_NOT_FOUND: [404, 'El artista especificado no existe', { field: 'id_artista' }]
+};
+
+const respondNotFound = (res, message, data) => res.status(404).json(createResponse('error', message, data));
+
+// Answer a failed write: a stale If-Match, a known domain error or a 500 with fallbackMessage
+const respondWriteError = (res, error, key, fallbackMessage) => {
+  if (error.code === 'VERSION_MISMATCH') {
+    return respondVersionMismatch(res, key, error.actual);
+  }
+
+  if (WRITE_ERRORS[error.code]) {
+    const [status, message, data] = WRITE_ERRORS[error.code];
+    return res.status(status).json(createResponse('error', message, data));
+  }
+
+  res.status(500).json(createResponse('error', fallbackMessage, { error: error.message }));
+};
+
+// Answer a created artist or album with its URL and version
+const respondCreated = (res, location, message, data, version) =>
+  res
+    .status(201)
+    .location(location)
+    .set('ETag', formatEtag(version))
+    .json(createResponse('success', message, data));
+
+const router = express.Router();
+
+// The validator has already checked that :id is an integer, but its coercion does not reach
+// the params a mounted router parses again
+router.param('id', (req, res, next, id) => {
+  req.params.id = Number(id);
+  next();
+});
+
+router.get('/artistas', async (req, res) => {
+  const params = pickFields(req.query, ['limit', 'offset', 'sort', 'order', 'genero_musica']);
+
+  try {
+    const { artistas, total } = await getArtistas(params);
+    res.json(
+      createResponse('success', 'Artistas obtenidos', {
+        artistas,
+        pagination: buildPagination(req, total, params)
+      })
+    );
+  } catch (error) {
+    res.status(500).json(createResponse('error', 'Error al obtener artistas', { error: error.message }));
+  }
+});
+
+router.post('/artistas', requireRole('editor'), async (req, res) => {
+  try {
+    const artista = await createArtista(pickFields(req.body, ARTISTA_FIELDS), { actor: req.usuario });
+    respondCreated(
+      res,
+      `${req.baseUrl}/artistas/${artista.id_artista}`,
+      'Artista creado',
+      { artista },
+      artista.version
+    );
+  } catch (error) {
+    respondWriteError(res, error, 'artista', 'Error al crear artista');
+  }
+});
+
+// Express answers 304 when If-None-Match carries the current ETag
+router.get('/artistas/:id', async (req, res) => {
+  const idArtista = req.params.id;
+
+  try {
+    const artista = await getArtistaPorId(idArtista);
+
+    if (!artista) {
+      return respondNotFound(res, 'Artista no encontrado', { id_artista: idArtista });
+    }
+
+    res.set('ETag', formatEtag(artista.version));
+    res.json(createResponse('success', 'Artista obtenido', { artista }));
+  } catch (error) {
+    res.status(500).json(createResponse('error', 'Error al obtener artista', { error: error.message }));
+  }
+});
+
+// PATCH changes the fields sent; PUT replaces the artist and so needs all of them, which
+// openapi.yaml enforces
+const writeArtista = async (req, res) => {
+  const idArtista = req.params.id;
+
+  try {
+    const artista = await updateArtista(idArtista, pickFields(req.body, ARTISTA_FIELDS), {
+      actor: req.usuario,
+      versionesEsperadas: parseIfMatch(req.get('If-Match'))
+    });
+
+    if (!artista) {
+      return respondNotFound(res, 'Artista no encontrado', { id_artista: idArtista });
+    }
+
+    res.set('ETag', formatEtag(artista.version));
+    res.json(createResponse('success', 'Artista actualizado', { artista }));
+  } catch (error) {
+    respondWriteError(res, error, 'artista', 'Error al actualizar artista');
+  }
+};
+
+router.patch('/artistas/:id', requireRole('editor'), writeArtista);
+router.put('/artistas/:id', requireRole('editor'), writeArtista);
+
+router.delete('/artistas/:id', requireRole('admin'), async (req, res) => {
+  const idArtista = req.params.id;
+
+  try {
+    const eliminado = await deleteArtista(idArtista, {
+      cascade: req.query.cascade === true,
+      actor: req.usuario,
+      versionesEsperadas: parseIfMatch(req.get('If-Match'))
+    });
+
+    if (!eliminado) {
+      return respondNotFound(res, 'Artista no encontrado', { id_artista: idArtista });
+    }
+
+    res.json(
+      createResponse(
+        'success',
+        eliminado.albumes.length > 0
+          ? 'Artista y sus albumes movidos a la papelera'
+          : 'Artista movido a la papelera',
+        eliminado
+      )
+    );
+  } catch (error) {
+    if (error.code === 'ARTISTA_HAS_DEPENDENCIES') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'No se puede eliminar el artista porque tiene albumes, use ?cascade=true para eliminarlos tambien', {
+            id_artista: idArtista,
+            albumes: error.albumes ?? []
+          })
+        );
+    }
+
+    respondWriteError(res, error, 'artista', 'Error al eliminar artista');
+  }
+});
+
+// The artist's albums, paginated and sorted like /albumes
+router.get('/artistas/:id/albumes', async (req, res) => {
+  const idArtista = req.params.id;
+  const params = pickFields(req.query, ALBUM_LIST_PARAMS);
+
+  try {
+    const artista = await getArtistaPorId(idArtista);
+
+    if (!artista) {
+      return respondNotFound(res, 'Artista no encontrado', { id_artista: idArtista });
+    }
+
+    const { albumes, total } = await getAlbumes({ ...params, id_artista: idArtista });
+    res.json(
+      createResponse('success', 'Albumes obtenidos para el artista', {
+        artista,
+        albumes,
+        pagination: buildPagination(req, total, params)
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(createResponse('error', 'Error al obtener los albumes del artista', { error: error.message }));
+  }
+});
+
+// Create an album of the artist in the path
+router.post('/artistas/:id/albumes', requireRole('editor'), async (req, res) => {
+  const idArtista = req.params.id;
+
+  try {
+    const album = await createAlbum(
+      { ...pickFields(req.body, ['titulo_album', 'anio_album']), id_artista: idArtista },
+      { actor: req.usuario }
+    );
+    respondCreated(res, `${req.baseUrl}/albumes/${album.id_album}`, 'Album creado', { album }, album.version);
+  } catch (error) {
+    if (error.code === 'ARTISTA_NOT_FOUND') {
+      return respondNotFound(res, 'Artista no encontrado', { id_artista: idArtista });
+    }
+
+    respondWriteError(res, error, 'album', 'Error al crear album');
+  }
+});
+
+router.get('/albumes', async (req, res) => {
+  const params = pickFields(req.query, [...ALBUM_LIST_PARAMS, 'id_artista']);
+
+  try {
+    const { albumes, total } = await getAlbumes(params);
+    res.json(
+      createResponse('success', 'Albumes obtenidos', {
+        albumes,
+        pagination: buildPagination(req, total, params)
+      })
+    );
+  } catch (error) {
+    res.status(500).json(createResponse('error', 'Error al obtener albumes', { error: error.message }));
+  }
+});
+
+router.post('/albumes', requireRole('editor'), async (req, res) => {
+  try {
+    const album = await createAlbum(pickFields(req.body, ALBUM_FIELDS), { actor: req.usuario });
+    respondCreated(res, `${req.baseUrl}/albumes/${album.id_album}`, 'Album creado', { album }, album.version);
+  } catch (error) {
+    respondWriteError(res, error, 'album', 'Error al crear album');
+  }
+});
+
+// Express answers 304 when If-None-Match carries the current ETag
+router.get('/albumes/:id', async (req, res) => {
+  const idAlbum = req.params.id;
+
+  try {
+    const album = await getAlbumPorId(idAlbum);
+
+    if (!album) {
+      return respondNotFound(res, 'Album no encontrado', { id_album: idAlbum });
+    }
+
+    res.set('ETag', formatAlbumEtag(album));
+    res.json(createResponse('success', 'Album obtenido', { album }));
+  } catch (error) {
+    res.status(500).json(createResponse('error', 'Error al obtener album', { error: error.message }));
+  }
+});
+
+// PATCH changes the fields sent; PUT replaces the album and so needs all of them
+const writeAlbum = async (req, res) => {
+  const idAlbum = req.params.id;
+
+  try {
+    const album = await updateAlbum(idAlbum, pickFields(req.body, ALBUM_FIELDS), {
+      actor: req.usuario,
+      versionesEsperadas: parseIfMatch(req.get('If-Match'))
+    });
+
+    if (!album) {
+      return respondNotFound(res, 'Album no encontrado', { id_album: idAlbum });
+    }
+
+    res.set('ETag', formatEtag(album.version));
+    res.json(createResponse('success', 'Album actualizado', { album }));
+  } catch (error) {
+    respondWriteError(res, error, 'album', 'Error al actualizar album');
+  }
+};
+
+router.patch('/albumes/:id', requireRole('editor'), writeAlbum);
+router.put('/albumes/:id', requireRole('editor'), writeAlbum);
+
+router.delete('/albumes/:id', requireRole('admin'), async (req, res) => {
+  const idAlbum = req.params.id;
+
+  try {
+    const album = await deleteAlbum(idAlbum, {
+      actor: req.usuario,
+      versionesEsperadas: parseIfMatch(req.get('If-Match'))
+    });
+
+    if (!album) {
+      return respondNotFound(res, 'Album no encontrado', { id_album: idAlbum });
+    }
+
+    res.json(createResponse('success', 'Album movido a la papelera', { album }));
+  } catch (error) {
+    respondWriteError(res, error, 'album', 'Error al eliminar album');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+require('dotenv').config();
+
+const { pool } = require('../config/database');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../config/migrations');
+
+// Usage: node scripts/migrate.js <up|down|status> [--to <version>] [--steps <n>]
+const [command = 'status', ...args] = process.argv.slice(2);
+
+const readOption = (name) => {
+  const index = args.indexOf(`--${name}`);
+
+  if (index === -1) {
+    return undefined;
+  }
+
+  const value = Number.parseInt(args[index + 1], 10);
+
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+
+  return value;
+};
+
+const printMigrations = (label, migrations) => {
+  if (migrations.length === 0) {
+    console.log(`${label}: none`);
+    return;
+  }
+
+  console.log(`${label}:`);
+  migrations.forEach(({ version, name }) => console.log(`  ${version}_${name}`));
+};
+
+async function main() {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp({ to: readOption('to') });
+      printMigrations('Applied', applied);
+      break;
+    }
+    case 'down': {
+      const reverted = await migrateDown({ steps: readOption('steps') ?? 1 });
+      printMigrations('Reverted', reverted);
+      break;
+    }
+    case 'status': {
+      const status = await getMigrationStatus();
+      console.log(`Current version: ${status.currentVersion} (latest ${status.latestVersion})`);
+      printMigrations('Pending', status.pending);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
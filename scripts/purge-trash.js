@@ -0,0 +1,38 @@
+require('dotenv').config();
+
+const { pool, PAPELERA_RETENCION_DIAS, purgarPapelera } = require('../config/database');
+
+// Usage: node scripts/purge-trash.js [--days <n>]
+// Meant for a scheduled job; defaults to PAPELERA_RETENCION_DIAS
+const args = process.argv.slice(2);
+
+const readDays = () => {
+  const index = args.indexOf('--days');
+
+  if (index === -1) {
+    return PAPELERA_RETENCION_DIAS;
+  }
+
+  const value = Number.parseInt(args[index + 1], 10);
+
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error('--days must be a non-negative integer');
+  }
+
+  return value;
+};
+
+async function main() {
+  const retencionDias = readDays();
+  const { limite, artistas, albumes, canciones } = await purgarPapelera({ retencionDias });
+
+  console.log(`Purged items deleted before ${limite.toISOString()} (${retencionDias} days)`);
+  console.log(`  artistas: ${artistas}, albumes: ${albumes}, canciones: ${canciones}`);
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -1,64 +1,394 @@
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const path = require('path');
+const { pipeline } = require('stream/promises');
 const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs');
 require('dotenv').config();
+const { createResponse } = require('./utils/response');
+const {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  authenticate,
+  hasRole,
+  requireRole
+} = require('./middleware/auth');
+const { createOpenApiValidator, validationErrorHandler } = require('./middleware/validation');
+const { deprecated } = require('./middleware/deprecation');
+const { PASSWORD_MIN_LENGTH } = require('./utils/usuarios');
+const { logRequests, bindRequestContext } = require('./middleware/requestLogger');
+const { rateLimit } = require('./middleware/rateLimit');
+const { logger } = require('./config/logger');
+const { registry: metricsRegistry } = require('./config/metrics');
+const {
+  parseImportCsv,
+  parseImportJson,
+  parseImportNdjson,
+  parseImportXml
+} = require('./utils/import');
+const { EXPORT_FORMATS, renderExport, openExportStream } = require('./utils/export');
+const { formatEtag, formatAlbumEtag, parseIfMatch } = require('./utils/etag');
+const { pickFields, respondVersionMismatch, buildPagination } = require('./utils/http');
+const {
+  PORTADA_TIPOS,
+  PORTADA_MAX_BYTES,
+  procesarPortada,
+  guardarPortada,
+  eliminarPortadas
+} = require('./utils/portadas');
+const { storage, IMMUTABLE_CACHE_CONTROL } = require('./config/storage');
+const { createHandler: createGraphqlHandler } = require('graphql-http/lib/use/express');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb';
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '100kb';
+// Proxies in front of the app whose X-Forwarded-For is trusted for the client IP (used by
+// rate limiting): a hop count, or an address list as Express takes it. Render has one.
+const TRUST_PROXY = process.env.TRUST_PROXY || (process.env.RENDER ? '1' : '0');
+// Bearer token Prometheus must send to read /metrics; open when unset
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
 
 // Swagger setup
 const swaggerDocument = YAML.load(path.join(__dirname, 'openapi.yaml'));
 
+// Express takes hop counts and booleans as such, anything else as addresses
+const trustProxySetting = (value) => {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  return value === 'true' || value === 'false' ? value === 'true' : value;
+};
+
+app.set('trust proxy', trustProxySetting(TRUST_PROXY));
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(logRequests);
+// Browsers only let scripts read these response headers when they are exposed
+app.use(
+  cors({
+    exposedHeaders: [
+      'ETag',
+      'Location',
+      'Deprecation',
+      'Sunset',
+      'Link',
+      'X-Request-Id',
+      'RateLimit-Policy',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+      'Retry-After'
+    ]
+  })
+);
+// Prometheus scrape endpoint, in its text format. It sits outside /api and before user
+// authentication: scrapers send METRICS_TOKEN, not a user token.
+app.get('/metrics', async (req, res) => {
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const received = Buffer.from(req.get('Authorization') || '');
+
+  if (METRICS_TOKEN && (received.length !== expected.length || !crypto.timingSafeEqual(received, expected))) {
+    return res.status(401).json(createResponse('error', 'Token de metricas invalido'));
+  }
+
+  res.set('Content-Type', metricsRegistry.contentType);
+  res.send(await metricsRegistry.metrics());
+});
+// Import files are larger than regular payloads and may be sent as raw CSV, NDJSON or XML
+const IMPORT_PARSERS = [
+  { types: ['text/csv', 'text/plain'], parse: parseImportCsv },
+  { types: ['application/x-ndjson'], parse: parseImportNdjson },
+  { types: ['application/xml', 'text/xml'], parse: parseImportXml }
+];
+
+app.use(
+  '/api/importar',
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: IMPORT_PARSERS.flatMap(({ types }) => types), limit: IMPORT_BODY_LIMIT })
+);
+// Covers are uploaded as the raw image, with its type as Content-Type
+app.use(
+  /^\/api\/albumes\/[^/]+\/portada$/,
+  express.raw({ type: Object.keys(PORTADA_TIPOS), limit: PORTADA_MAX_BYTES })
+);
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(bindRequestContext);
+// Ahead of authentication, so requests with bad tokens are limited too
+app.use(rateLimit);
+app.use(authenticate);
 app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
+// Files kept on local disk are served by the app; other stores serve their own
+if (storage.name === 'local') {
+  app.use(
+    storage.publicPath,
+    express.static(storage.directory, {
+      index: false,
+      setHeaders: (res) => res.set('Cache-Control', IMMUTABLE_CACHE_CONTROL)
+    })
+  );
+}
+app.use(createOpenApiValidator(swaggerDocument));
 
 // Import database connection
 const {
-  testDatabaseConnection,
+  DB_DRIVER,
+  PAPELERA_RETENCION_DIAS,
+  SEARCH_AUTO_MATCH_THRESHOLD,
   getColeccionMusical,
+  streamColeccionMusical,
   getArtistas,
   getAlbumes,
+  getEstadisticas,
   findArtistaPorNombre,
+  findArtistasSimilares,
+  buscarColeccion,
+  getArtistaPorId,
+  getAlbumPorId,
   getAlbumesPorArtista,
   createArtista,
   updateArtista,
   deleteArtista,
+  restaurarArtista,
   createAlbum,
   updateAlbum,
-  deleteAlbum
+  deleteAlbum,
+  setPortadaAlbum,
+  restaurarAlbum,
+  getPapelera,
+  purgarPapelera,
+  getHistorial,
+  revertirCambio,
+  importColeccion,
+  getGeneros,
+  getGeneroPorId,
+  createGenero,
+  updateGenero,
+  deleteGenero,
+  getArtistasPorGenero,
+  getGenerosPorArtista,
+  setGenerosArtista,
+  getCancionesPorAlbum,
+  createCancion,
+  updateCancion,
+  deleteCancion,
+  getResenas,
+  createResena,
+  updateResena,
+  deleteResena,
+  getMejorValorados,
+  createUsuario,
+  bootstrapAdmin,
+  findUsuarioPorEmail,
+  getUsuarioPorId,
+  updateUsuarioRol,
+  addAlbumAColeccion,
+  updateAlbumEnColeccion,
+  removeAlbumDeColeccion
 } = require('./config/database');
-
-// Helper function for consistent API responses
-const createResponse = (status, message, data = null) => ({
-  status,
-  message,
-  ...(data && { data }),
-  timestamp: new Date().toISOString()
-});
+const { getMigrationStatus, migrateUp } = require('./config/migrations');
+const { cache } = require('./config/cache');
+const graphql = require('./graphql/schema');
+const v2Router = require('./routes/v2');
+const healthRouter = require('./routes/health');
+
+// What to do at startup when the database schema is behind the migration files:
+// 'auto' applies pending migrations, 'strict' refuses to start, 'warn' starts anyway and
+// reports the pending migrations in /api/health. The default is 'warn', except for the
+// embedded database, which usually starts empty and is migrated automatically.
+const MIGRATIONS_MODE = process.env.MIGRATIONS_MODE || (DB_DRIVER === 'embedded' ? 'auto' : 'warn');
+
+// Artist and album routes that /api/v2 replaces; see middleware/deprecation.js
+const deprecatedArtista = deprecated(req => `/api/v2/artistas/${req.params.id}`);
+const deprecatedAlbum = deprecated(req => `/api/v2/albumes/${req.params.id}`);
 
 // Routes
 app.get('/', (req, res) => {
   res.status(200).send('OK!');
 });
 
-// Database connection test endpoint
-app.get('/api/health', async (req, res) => {
+// Health summary, liveness and readiness probes, and the admin diagnostics
+app.use('/api/health', healthRouter);
+
+// GraphQL endpoint over artists and albums, with the same roles as the REST routes
+app.all(
+  '/api/graphql',
+  createGraphqlHandler({
+    schema: graphql.schema,
+    rootValue: graphql.rootValue,
+    context: (req) => graphql.createContext(req.raw.usuario)
+  })
+);
+
+// Cache statistics endpoint
+app.get('/api/cache', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(createResponse('success', 'Estadisticas de cache obtenidas', await cache.getStats()));
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener estadisticas de cache', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Cache flush endpoint
+app.delete('/api/cache', requireRole('admin'), async (req, res) => {
+  try {
+    await cache.clear();
+    res.json(createResponse('success', 'Cache vaciada'));
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al vaciar la cache', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// User registration endpoint
+app.post('/api/auth/registro', async (req, res) => {
+  const { email, nombre } = pickFields(req.body, ['email', 'nombre']);
+
+  try {
+    const usuario = await createUsuario({
+      email,
+      nombre: nombre || null,
+      password_hash: await hashPassword(req.body.password)
+    });
+
+    res
+      .status(201)
+      .json(
+        createResponse('success', 'Usuario registrado', {
+          usuario,
+          token: signToken(usuario)
+        })
+      );
+  } catch (error) {
+    if (error.code === 'USUARIO_EMAIL_EXISTS') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El email ya esta registrado', {
+            field: 'email'
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al registrar usuario', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Login endpoint
+app.post('/api/auth/login', async (req, res) => {
+  const email = req.body.email.trim();
+  const { password } = req.body;
+
+  try {
+    const usuario = await findUsuarioPorEmail(email);
+
+    if (!usuario || !(await verifyPassword(password, usuario.password_hash))) {
+      return res
+        .status(401)
+        .json(createResponse('error', 'Credenciales invalidas'));
+    }
+
+    const { password_hash, ...publicUsuario } = usuario;
+
+    res.json(
+      createResponse('success', 'Sesion iniciada', {
+        usuario: publicUsuario,
+        token: signToken(publicUsuario)
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al iniciar sesion', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Current user endpoint
+app.get('/api/auth/yo', requireRole('lector'), async (req, res) => {
+  try {
+    const usuario = await getUsuarioPorId(req.usuario.id_usuario);
+
+    if (!usuario) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Usuario no encontrado', {
+            id_usuario: req.usuario.id_usuario
+          })
+        );
+    }
+
+    res.json(createResponse('success', 'Usuario obtenido', { usuario }));
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener usuario', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Change user role endpoint
+app.patch('/api/usuarios/:id/rol', requireRole('admin'), async (req, res) => {
+  const idUsuario = req.params.id;
+
   try {
-    const dbStatus = await testDatabaseConnection();
-    res.json(createResponse('success', 'Database connection successful', { database: dbStatus }));
+    const usuario = await updateUsuarioRol(idUsuario, req.body.rol);
+
+    if (!usuario) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Usuario no encontrado', {
+            id_usuario: idUsuario
+          })
+        );
+    }
+
+    res.json(createResponse('success', 'Rol de usuario actualizado', { usuario }));
   } catch (error) {
-    res.status(500).json(createResponse('error', 'Database connection failed', { error: error.message }));
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al actualizar rol de usuario', {
+          error: error.message
+        })
+      );
   }
 });
 
 // Musical collection endpoint
 app.get('/api/coleccion_musical', async (req, res) => {
   try {
-    const coleccion = await getColeccionMusical();
+    const coleccion = await getColeccionMusical({
+      incluirCanciones: req.query.incluir_canciones === true
+    });
     res.json(
       createResponse('success', 'Coleccion musical obtenida', {
         artistas: coleccion
@@ -75,124 +405,1462 @@ app.get('/api/coleccion_musical', async (req, res) => {
   }
 });
 
-// Artists endpoint
-app.get('/api/artistas', async (req, res) => {
+// Streaming export endpoint: the whole collection as csv, json, ndjson or xml
+app.get('/api/coleccion_musical/export', async (req, res) => {
+  const format = EXPORT_FORMATS[req.query.format];
+  const chunks = renderExport(format, streamColeccionMusical());
+  let stream;
+
+  try {
+    stream = await openExportStream(chunks);
+  } catch (error) {
+    return res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al exportar la coleccion musical', {
+          error: error.message
+        })
+      );
+  }
+
+  res.set({
+    'Content-Type': format.contentType,
+    'Content-Disposition': `attachment; filename="coleccion_musical.${format.extension}"`
+  });
+
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    // Headers are already sent, so the client just sees a truncated download
+    logger.error('Export of coleccion_musical interrupted', { error: error.message });
+  } finally {
+    // Release the cursor if the stream was torn down before the generator finished
+    await chunks.return();
+  }
+});
+
+// The signed-in user's own collection, grouped by artist like /api/coleccion_musical
+app.get('/api/mi_coleccion', requireRole('lector'), async (req, res) => {
   try {
-    const artistas = await getArtistas();
+    const coleccion = await getColeccionMusical({
+      incluirCanciones: req.query.incluir_canciones === true,
+      idUsuario: req.usuario.id_usuario
+    });
     res.json(
-      createResponse('success', 'Artistas obtenidos', {
-        artistas
+      createResponse('success', 'Coleccion personal obtenida', {
+        artistas: coleccion
       })
     );
   } catch (error) {
     res
       .status(500)
       .json(
-        createResponse('error', 'Error al obtener artistas', {
+        createResponse('error', 'Error al obtener la coleccion personal', {
           error: error.message
         })
       );
   }
 });
 
-// Create artist endpoint
-app.post('/api/agregar_artista', async (req, res) => {
-  const nombre = typeof req.body?.nombre === 'string' ? req.body.nombre.trim() : '';
-  const generoMusica =
-    typeof req.body?.genero_musica === 'string' ? req.body.genero_musica.trim() : '';
+// Add a catalogue album to the signed-in user's collection
+app.post('/api/mi_coleccion/:id_album', requireRole('lector'), async (req, res) => {
+  const idAlbum = req.params.id_album;
+  const detalles = pickFields(req.body, ['fecha_adquisicion', 'precio_compra', 'notas']);
 
-  if (!nombre || !generoMusica) {
-    return res
-      .status(400)
+  try {
+    const album = await addAlbumAColeccion(req.usuario.id_usuario, idAlbum, detalles);
+
+    if (!album) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Album no encontrado', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    res.status(201).json(createResponse('success', 'Album agregado a la coleccion personal', { album }));
+  } catch (error) {
+    if (error.code === 'COLECCION_ALBUM_DUPLICADO') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El album ya esta en la coleccion personal', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    res
+      .status(500)
       .json(
-        createResponse('error', 'nombre y genero_musica son obligatorios', {
-          required: ['nombre', 'genero_musica']
+        createResponse('error', 'Error al agregar el album a la coleccion personal', {
+          error: error.message
         })
       );
   }
+});
+
+// Update the ownership details of an album in the signed-in user's collection
+app.patch('/api/mi_coleccion/:id_album', requireRole('lector'), async (req, res) => {
+  const idAlbum = req.params.id_album;
+  const detalles = pickFields(req.body, ['fecha_adquisicion', 'precio_compra', 'notas']);
 
   try {
-    const artista = await createArtista({ nombre, genero_musica: generoMusica });
+    const album = await updateAlbumEnColeccion(req.usuario.id_usuario, idAlbum, detalles);
+
+    if (!album) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'El album no esta en la coleccion personal', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    res.json(createResponse('success', 'Album de la coleccion personal actualizado', { album }));
+  } catch (error) {
+    if (error.message === 'No update fields provided') {
+      return res
+        .status(400)
+        .json(
+          createResponse('error', 'No se proporcionaron campos para actualizar', {
+            allowed: ['fecha_adquisicion', 'precio_compra', 'notas']
+          })
+        );
+    }
+
     res
-      .status(201)
+      .status(500)
       .json(
-        createResponse('success', 'Artista creado', {
-          artista
+        createResponse('error', 'Error al actualizar el album de la coleccion personal', {
+          error: error.message
         })
       );
+  }
+});
+
+// Remove an album from the signed-in user's collection; the catalogue keeps it
+app.delete('/api/mi_coleccion/:id_album', requireRole('lector'), async (req, res) => {
+  const idAlbum = req.params.id_album;
+
+  try {
+    const album = await removeAlbumDeColeccion(req.usuario.id_usuario, idAlbum);
+
+    if (!album) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'El album no esta en la coleccion personal', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    res.json(createResponse('success', 'Album quitado de la coleccion personal', { album }));
   } catch (error) {
     res
       .status(500)
       .json(
-        createResponse('error', 'Error al crear artista', {
+        createResponse('error', 'Error al quitar el album de la coleccion personal', {
           error: error.message
         })
       );
   }
 });
 
-// Create album endpoint
-app.post('/api/agregar_album', async (req, res) => {
-  const tituloAlbum =
-    typeof req.body?.titulo_album === 'string' ? req.body.titulo_album.trim() : '';
-  const anioAlbumRaw = req.body?.anio_album;
-  const idArtistaRaw = req.body?.id_artista;
+// Artists endpoint
+app.get('/api/artistas', deprecated(() => '/api/v2/artistas'), async (req, res) => {
+  const params = pickFields(req.query, ['limit', 'offset', 'sort', 'order', 'genero_musica']);
 
-  const anioAlbum = Number.parseInt(anioAlbumRaw, 10);
-  const idArtista = Number.parseInt(idArtistaRaw, 10);
+  try {
+    const { artistas, total } = await getArtistas(params);
+    res.json(
+      createResponse('success', 'Artistas obtenidos', {
+        artistas,
+        pagination: buildPagination(req, total, params)
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener artistas', {
+          error: error.message
+        })
+      );
+  }
+});
 
-  const validationErrors = [];
+// Search endpoint across artist names, genres and album titles
+app.get('/api/buscar', async (req, res) => {
+  const termino = req.query.q.trim();
+  const { limit, tipo } = req.query;
 
-  if (!tituloAlbum) {
-    validationErrors.push('titulo_album');
+  try {
+    const resultados = await buscarColeccion(termino, { limit, tipo });
+    res.json(
+      createResponse('success', 'Resultados de busqueda obtenidos', {
+        q: termino,
+        total: resultados.length,
+        resultados
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al buscar en la coleccion', {
+          error: error.message
+        })
+      );
   }
+});
 
-  if (!Number.isInteger(anioAlbum)) {
-    validationErrors.push('anio_album');
-  }
+// Collection statistics endpoint; genre and year filters narrow every figure
+app.get('/api/estadisticas', async (req, res) => {
+  const params = pickFields(req.query, ['genero_musica', 'anio_desde', 'anio_hasta', 'top']);
 
-  if (!Number.isInteger(idArtista)) {
-    validationErrors.push('id_artista');
+  try {
+    const estadisticas = await getEstadisticas(params);
+    res.json(
+      createResponse('success', 'Estadisticas obtenidas', {
+        filtros: params,
+        ...estadisticas
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener estadisticas', {
+          error: error.message
+        })
+      );
   }
+});
+
+// Create artist endpoint
+app.post('/api/agregar_artista', deprecated(() => '/api/v2/artistas'), requireRole('editor'), async (req, res) => {
+  const { nombre, genero_musica: generoMusica } = pickFields(req.body, ['nombre', 'genero_musica']);
+
+  try {
+    const artista = await createArtista({ nombre, genero_musica: generoMusica }, { actor: req.usuario });
+    res
+      .status(201)
+      .set('ETag', formatEtag(artista.version))
+      .json(
+        createResponse('success', 'Artista creado', {
+          artista
+        })
+      );
+  } catch (error) {
+    if (error.code === 'ARTISTA_DUPLICATE_NAME') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El nombre del artista ya existe', {
+            field: 'nombre'
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al crear artista', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Create album endpoint
+app.post('/api/agregar_album', deprecated(() => '/api/v2/albumes'), requireRole('editor'), async (req, res) => {
+  const {
+    titulo_album: tituloAlbum,
+    anio_album: anioAlbum,
+    id_artista: idArtista
+  } = pickFields(req.body, ['titulo_album', 'anio_album', 'id_artista']);
+
+  try {
+    const album = await createAlbum({
+      titulo_album: tituloAlbum,
+      anio_album: anioAlbum,
+      id_artista: idArtista
+    }, { actor: req.usuario });
+
+    res
+      .status(201)
+      .set('ETag', formatEtag(album.version))
+      .json(createResponse('success', 'Album creado', { album }));
+  } catch (error) {
+    if (error.code === 'ALBUM_TITLE_EXISTS') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El titulo del album ya existe', {
+            field: 'titulo_album'
+          })
+        );
+    }
+
+    if (error.code === 'ARTISTA_NOT_FOUND') {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'El artista especificado no existe', {
+            field: 'id_artista'
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al crear album', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Bulk import endpoint: CSV, JSON, NDJSON or XML artists with their albums, in a single transaction
+app.post('/api/importar', requireRole('editor'), async (req, res) => {
+  const dryRun = req.query.dry_run === true;
+  let filas;
+
+  try {
+    const textParser = IMPORT_PARSERS.find(({ types }) => req.is(types));
+    filas = textParser ? textParser.parse(req.body) : parseImportJson(req.body);
+  } catch (error) {
+    return res
+      .status(400)
+      .json(
+        createResponse('error', 'Formato de importacion invalido', {
+          error: error.message
+        })
+      );
+  }
+
+  if (filas.length === 0) {
+    return res
+      .status(400)
+      .json(createResponse('error', 'El archivo de importacion no contiene filas'));
+  }
+
+  try {
+    const reporte = await importColeccion(filas, { dryRun, actor: req.usuario });
+    const contar = (estado) => reporte.filter(fila => fila.estado === estado).length;
+    const resumen = {
+      filas: reporte.length,
+      creados: contar('creado'),
+      duplicados: contar('duplicado'),
+      invalidos: contar('invalido'),
+      artistas_creados: new Set(
+        reporte
+          .filter(fila => fila.artista && fila.artista.creado)
+          .map(fila => fila.artista.id_artista)
+      ).size
+    };
+
+    res
+      .status(!dryRun && resumen.creados > 0 ? 201 : 200)
+      .json(
+        createResponse(
+          'success',
+          dryRun ? 'Simulacion de importacion completada, no se guardaron cambios' : 'Importacion completada',
+          { dry_run: dryRun, resumen, filas: reporte }
+        )
+      );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al importar la coleccion', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Albums by artist name endpoint
+app.get('/api/artistas/nombre/:nombre/albumes', async (req, res) => {
+  const nombreArtista = req.params.nombre.trim();
+
+  try {
+    let artista = await findArtistaPorNombre(nombreArtista);
+    let coincidenciaAproximada = false;
+
+    if (!artista) {
+      // Fall back to a fuzzy match when it is confident enough, otherwise suggest names
+      const similares = await findArtistasSimilares(nombreArtista);
+      const [mejor] = similares;
+
+      if (!mejor || mejor.puntuacion < SEARCH_AUTO_MATCH_THRESHOLD) {
+        return res
+          .status(404)
+          .json(
+            createResponse('error', 'Artista no encontrado', {
+              nombre: nombreArtista,
+              sugerencias: similares.map(({ artista: sugerido, puntuacion }) => ({
+                ...sugerido,
+                puntuacion
+              }))
+            })
+          );
+      }
+
+      artista = mejor.artista;
+      coincidenciaAproximada = true;
+    }
+
+    const albumes = await getAlbumesPorArtista(artista.id_artista);
+    const extra = coincidenciaAproximada ? { coincidencia_aproximada: true, nombre: nombreArtista } : {};
+
+    if (albumes.length === 0) {
+      return res.json(
+        createResponse('success', 'El artista no tiene albumes registrados', {
+          artista,
+          albumes: [],
+          ...extra
+        })
+      );
+    }
+
+    res.json(
+      createResponse('success', 'Albumes obtenidos para el artista', {
+        artista,
+        albumes,
+        ...extra
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener los albumes del artista', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Single artist endpoint. Express answers 304 when If-None-Match carries the current ETag.
+app.get('/api/artistas/:id', deprecatedArtista, async (req, res) => {
+  const idArtista = req.params.id;
+
+  try {
+    const artista = await getArtistaPorId(idArtista);
+
+    if (!artista) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Artista no encontrado', {
+            id_artista: idArtista
+          })
+        );
+    }
+
+    res.set('ETag', formatEtag(artista.version));
+    res.json(createResponse('success', 'Artista obtenido', { artista }));
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener artista', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Update artist endpoint
+app.patch('/api/artistas/:id', deprecatedArtista, requireRole('editor'), async (req, res) => {
+  const idArtista = req.params.id;
+  const updates = pickFields(req.body, ['nombre', 'genero_musica']);
+  const versionesEsperadas = parseIfMatch(req.get('If-Match'));
+
+  try {
+    const artista = await updateArtista(idArtista, updates, { actor: req.usuario, versionesEsperadas });
+
+    if (!artista) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Artista no encontrado', {
+            id_artista: idArtista
+          })
+        );
+    }
+
+    res.set('ETag', formatEtag(artista.version));
+    res.json(createResponse('success', 'Artista actualizado', { artista }));
+  } catch (error) {
+    if (error.code === 'VERSION_MISMATCH') {
+      return respondVersionMismatch(res, 'artista', error.actual);
+    }
+
+    if (error.code === 'ARTISTA_DUPLICATE_NAME') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El nombre del artista ya existe', {
+            field: 'nombre'
+          })
+        );
+    }
+
+    if (error.message === 'No update fields provided') {
+      return res
+        .status(400)
+        .json(
+          createResponse('error', 'No se proporcionaron campos para actualizar', {
+            allowed: ['nombre', 'genero_musica']
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al actualizar artista', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Best rated albums, optionally within a genre or a decade
+app.get('/api/albumes/mejor_valorados', async (req, res) => {
+  const { min_resenas: minResenas, ...params } = pickFields(req.query, [
+    'genero_musica',
+    'decada',
+    'min_resenas',
+    'limit'
+  ]);
+
+  try {
+    const albumes = await getMejorValorados({ ...params, minResenas });
+    res.json(
+      createResponse('success', 'Albumes mejor valorados obtenidos', {
+        filtros: pickFields(req.query, ['genero_musica', 'decada', 'min_resenas']),
+        albumes
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener los albumes mejor valorados', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Single album endpoint. Express answers 304 when If-None-Match carries the current ETag.
+app.get('/api/albumes/:id', deprecatedAlbum, async (req, res) => {
+  const idAlbum = req.params.id;
+
+  try {
+    const album = await getAlbumPorId(idAlbum);
+
+    if (!album) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Album no encontrado', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    res.set('ETag', formatAlbumEtag(album));
+    res.json(createResponse('success', 'Album obtenido', { album }));
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener album', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Update album endpoint
+app.patch('/api/albumes/:id', deprecatedAlbum, requireRole('editor'), async (req, res) => {
+  const idAlbum = req.params.id;
+  const updates = pickFields(req.body, ['titulo_album', 'anio_album', 'id_artista']);
+  const versionesEsperadas = parseIfMatch(req.get('If-Match'));
+
+  try {
+    const album = await updateAlbum(idAlbum, updates, { actor: req.usuario, versionesEsperadas });
+
+    if (!album) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Album no encontrado', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    res.set('ETag', formatEtag(album.version));
+    res.json(createResponse('success', 'Album actualizado', { album }));
+  } catch (error) {
+    if (error.code === 'VERSION_MISMATCH') {
+      return respondVersionMismatch(res, 'album', error.actual);
+    }
+
+    if (error.code === 'ALBUM_TITLE_EXISTS') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El titulo del album ya existe', {
+            field: 'titulo_album'
+          })
+        );
+    }
+
+    if (error.code === 'ARTISTA_NOT_FOUND') {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'El artista especificado no existe', {
+            field: 'id_artista'
+          })
+        );
+    }
+
+    if (error.message === 'No update fields provided') {
+      return res
+        .status(400)
+        .json(
+          createResponse('error', 'No se proporcionaron campos para actualizar', {
+            allowed: ['titulo_album', 'anio_album', 'id_artista']
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al actualizar album', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Upload an album cover, replacing the current one. The thumbnails are generated before
+// anything is stored, and the replaced files are deleted once the album points at the new ones.
+app.put('/api/albumes/:id/portada', requireRole('editor'), async (req, res) => {
+  const idAlbum = req.params.id;
+  const versionesEsperadas = parseIfMatch(req.get('If-Match'));
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res
+      .status(400)
+      .json(
+        createResponse('error', 'Envie la imagen como cuerpo de la solicitud', {
+          tipos: Object.keys(PORTADA_TIPOS)
+        })
+      );
+  }
+
+  let clave;
+
+  try {
+    const tipo = Object.keys(PORTADA_TIPOS).find(candidato => req.is(candidato));
+    const portada = await procesarPortada(req.body, tipo);
+    clave = await guardarPortada(idAlbum, portada);
+
+    const result = await setPortadaAlbum(idAlbum, clave, { actor: req.usuario, versionesEsperadas });
+
+    if (!result) {
+      await eliminarPortadas([clave]);
+
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Album no encontrado', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    await eliminarPortadas([result.anterior]);
+
+    res.set('ETag', formatEtag(result.album.version));
+    res.json(
+      createResponse('success', 'Portada actualizada', {
+        album: result.album,
+        imagen: { formato: portada.formato, ancho: portada.ancho, alto: portada.alto }
+      })
+    );
+  } catch (error) {
+    if (clave) {
+      await eliminarPortadas([clave]);
+    }
+
+    if (error.code === 'PORTADA_INVALIDA') {
+      return res
+        .status(400)
+        .json(
+          createResponse('error', 'El archivo no es una imagen valida del tipo indicado', {
+            error: error.message
+          })
+        );
+    }
+
+    if (error.code === 'VERSION_MISMATCH') {
+      return respondVersionMismatch(res, 'album', error.actual);
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al guardar la portada', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Remove an album cover and its files
+app.delete('/api/albumes/:id/portada', requireRole('editor'), async (req, res) => {
+  const idAlbum = req.params.id;
+  const versionesEsperadas = parseIfMatch(req.get('If-Match'));
+
+  try {
+    const result = await setPortadaAlbum(idAlbum, null, { actor: req.usuario, versionesEsperadas });
+
+    if (!result) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Album no encontrado', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    await eliminarPortadas([result.anterior]);
+
+    res.set('ETag', formatEtag(result.album.version));
+    res.json(createResponse('success', 'Portada eliminada', { album: result.album }));
+  } catch (error) {
+    if (error.code === 'VERSION_MISMATCH') {
+      return respondVersionMismatch(res, 'album', error.actual);
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al eliminar la portada', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Delete artist endpoint
+app.delete('/api/artistas/:id', deprecatedArtista, requireRole('admin'), async (req, res) => {
+  const idArtista = req.params.id;
+  const cascade = req.query.cascade === true;
+  const versionesEsperadas = parseIfMatch(req.get('If-Match'));
+
+  try {
+    const eliminado = await deleteArtista(idArtista, { cascade, actor: req.usuario, versionesEsperadas });
+
+    if (!eliminado) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Artista no encontrado', {
+            id_artista: idArtista
+          })
+        );
+    }
+
+    res.json(
+      createResponse(
+        'success',
+        eliminado.albumes.length > 0
+          ? 'Artista y sus albumes movidos a la papelera'
+          : 'Artista movido a la papelera',
+        eliminado
+      )
+    );
+  } catch (error) {
+    if (error.code === 'VERSION_MISMATCH') {
+      return respondVersionMismatch(res, 'artista', error.actual);
+    }
+
+    if (error.code === 'ARTISTA_HAS_DEPENDENCIES') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'No se puede eliminar el artista porque tiene albumes, use ?cascade=true para eliminarlos tambien', {
+            id_artista: idArtista,
+            albumes: error.albumes ?? []
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al eliminar artista', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Delete album endpoint
+app.delete('/api/albumes/:id', deprecatedAlbum, requireRole('admin'), async (req, res) => {
+  const idAlbum = req.params.id;
+  const versionesEsperadas = parseIfMatch(req.get('If-Match'));
+
+  try {
+    const album = await deleteAlbum(idAlbum, { actor: req.usuario, versionesEsperadas });
+
+    if (!album) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Album no encontrado', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    res.json(createResponse('success', 'Album movido a la papelera', { album }));
+  } catch (error) {
+    if (error.code === 'VERSION_MISMATCH') {
+      return respondVersionMismatch(res, 'album', error.actual);
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al eliminar album', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Trash endpoint: deleted artists and albums waiting to be purged
+app.get('/api/papelera', requireRole('admin'), async (req, res) => {
+  try {
+    const papelera = await getPapelera({ tipo: req.query.tipo });
+
+    res.json(
+      createResponse('success', 'Papelera obtenida', {
+        ...papelera,
+        retencion_dias: PAPELERA_RETENCION_DIAS
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener la papelera', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Purge trash endpoint: permanently delete items older than the retention period
+app.delete('/api/papelera', requireRole('admin'), async (req, res) => {
+  const retencionDias = req.query.retencion_dias ?? PAPELERA_RETENCION_DIAS;
+
+  try {
+    const purgados = await purgarPapelera({ retencionDias, actor: req.usuario });
+
+    res.json(
+      createResponse('success', 'Papelera purgada', {
+        retencion_dias: retencionDias,
+        ...purgados
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al purgar la papelera', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Restore artist endpoint, together with the albums deleted with it
+app.post('/api/artistas/:id/restaurar', requireRole('admin'), async (req, res) => {
+  const idArtista = req.params.id;
+
+  try {
+    const restaurado = await restaurarArtista(idArtista, { actor: req.usuario });
+
+    if (!restaurado) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Artista no encontrado en la papelera', {
+            id_artista: idArtista
+          })
+        );
+    }
+
+    res.json(createResponse('success', 'Artista restaurado', restaurado));
+  } catch (error) {
+    if (error.code === 'ARTISTA_DUPLICATE_NAME') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'Ya existe otro artista con ese nombre', {
+            field: 'nombre',
+            id_artista: error.conflicto.id_artista
+          })
+        );
+    }
+
+    if (error.code === 'ALBUM_TITLE_EXISTS') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'Otros albumes ya usan titulos de los albumes a restaurar', {
+            field: 'titulo_album',
+            albumes: error.albumes
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al restaurar artista', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Restore album endpoint
+app.post('/api/albumes/:id/restaurar', requireRole('admin'), async (req, res) => {
+  const idAlbum = req.params.id;
+
+  try {
+    const album = await restaurarAlbum(idAlbum, { actor: req.usuario });
+
+    if (!album) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Album no encontrado en la papelera', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    res.json(createResponse('success', 'Album restaurado', { album }));
+  } catch (error) {
+    if (error.code === 'ARTISTA_IN_PAPELERA') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El artista del album esta en la papelera, restaurelo primero', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    if (error.code === 'ALBUM_TITLE_EXISTS') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El titulo del album ya existe', {
+            field: 'titulo_album'
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al restaurar album', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Artist history endpoint
+app.get('/api/artistas/:id/historial', requireRole('editor'), async (req, res) => {
+  const idArtista = req.params.id;
+  const params = pickFields(req.query, ['limit', 'offset']);
+
+  try {
+    const { historial, total, existe } = await getHistorial('artista', idArtista, params);
+
+    if (total === 0 && !existe) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Artista no encontrado', {
+            id_artista: idArtista
+          })
+        );
+    }
+
+    res.json(
+      createResponse('success', 'Historial del artista obtenido', {
+        historial,
+        pagination: buildPagination(req, total, params)
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener el historial del artista', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Album history endpoint
+app.get('/api/albumes/:id/historial', requireRole('editor'), async (req, res) => {
+  const idAlbum = req.params.id;
+  const params = pickFields(req.query, ['limit', 'offset']);
+
+  try {
+    const { historial, total, existe } = await getHistorial('album', idAlbum, params);
+
+    if (total === 0 && !existe) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Album no encontrado', {
+            id_album: idAlbum
+          })
+        );
+    }
+
+    res.json(
+      createResponse('success', 'Historial del album obtenido', {
+        historial,
+        pagination: buildPagination(req, total, params)
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener el historial del album', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Errors shared by both revert endpoints
+const revertConflict = (res, error) => {
+  if (error.code === 'AUDITORIA_NOT_REVERTIBLE') {
+    return res
+      .status(409)
+      .json(
+        createResponse('error', 'Solo se pueden revertir ediciones; use la papelera para eliminaciones', {
+          accion: error.accion
+        })
+      );
+  }
+
+  if (error.code === 'AUDITORIA_CAMBIO_CANCION') {
+    return res
+      .status(409)
+      .json(createResponse('error', 'Los cambios de canciones se deshacen con los endpoints de canciones'));
+  }
+
+  if (error.code === 'AUDITORIA_ENTIDAD_NOT_LIVE') {
+    return res
+      .status(409)
+      .json(createResponse('error', 'El elemento esta en la papelera o fue purgado, restaurelo primero'));
+  }
+
+  return null;
+};
+
+// Revert an artist change endpoint
+app.post('/api/artistas/:id/historial/:idAuditoria/revertir', requireRole('editor'), async (req, res) => {
+  const idArtista = req.params.id;
+  const { idAuditoria } = req.params;
+
+  try {
+    const artista = await revertirCambio('artista', idArtista, idAuditoria, { actor: req.usuario });
+
+    if (!artista) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Entrada de historial no encontrada', {
+            id_artista: idArtista,
+            id_auditoria: idAuditoria
+          })
+        );
+    }
+
+    res.set('ETag', formatEtag(artista.version));
+    res.json(createResponse('success', 'Cambio del artista revertido', { artista }));
+  } catch (error) {
+    if (revertConflict(res, error)) {
+      return;
+    }
+
+    if (error.code === 'ARTISTA_DUPLICATE_NAME') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'Ya existe otro artista con ese nombre', {
+            field: 'nombre'
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al revertir el cambio del artista', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Revert an album change endpoint
+app.post('/api/albumes/:id/historial/:idAuditoria/revertir', requireRole('editor'), async (req, res) => {
+  const idAlbum = req.params.id;
+  const { idAuditoria } = req.params;
+
+  try {
+    const album = await revertirCambio('album', idAlbum, idAuditoria, { actor: req.usuario });
+
+    if (!album) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Entrada de historial no encontrada', {
+            id_album: idAlbum,
+            id_auditoria: idAuditoria
+          })
+        );
+    }
+
+    res.set('ETag', formatEtag(album.version));
+    res.json(createResponse('success', 'Cambio del album revertido', { album }));
+  } catch (error) {
+    if (revertConflict(res, error)) {
+      return;
+    }
+
+    if (error.code === 'ALBUM_TITLE_EXISTS') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'Ya existe otro album con ese titulo', {
+            field: 'titulo_album'
+          })
+        );
+    }
+
+    if (error.code === 'ARTISTA_NOT_FOUND') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El artista anterior del album ya no esta disponible', {
+            field: 'id_artista'
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al revertir el cambio del album', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Genre catalogue endpoint
+app.get('/api/generos', async (req, res) => {
+  const params = pickFields(req.query, ['limit', 'offset']);
+
+  try {
+    const { generos, total } = await getGeneros(params);
+    res.json(
+      createResponse('success', 'Generos obtenidos', {
+        generos,
+        pagination: buildPagination(req, total, params)
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener generos', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Create genre endpoint
+app.post('/api/generos', requireRole('editor'), async (req, res) => {
+  const { nombre } = pickFields(req.body, ['nombre']);
+
+  try {
+    const genero = await createGenero({ nombre });
+    res.status(201).json(createResponse('success', 'Genero creado', { genero }));
+  } catch (error) {
+    if (error.code === 'GENERO_DUPLICATE_NAME') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El genero ya existe', {
+            field: 'nombre'
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al crear genero', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Single genre endpoint
+app.get('/api/generos/:id', async (req, res) => {
+  const idGenero = req.params.id;
+
+  try {
+    const genero = await getGeneroPorId(idGenero);
+
+    if (!genero) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Genero no encontrado', {
+            id_genero: idGenero
+          })
+        );
+    }
+
+    res.json(createResponse('success', 'Genero obtenido', { genero }));
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener genero', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Rename genre endpoint; artists with it as principal genre show the new name
+app.patch('/api/generos/:id', requireRole('editor'), async (req, res) => {
+  const idGenero = req.params.id;
+  const { nombre } = pickFields(req.body, ['nombre']);
+
+  try {
+    const genero = await updateGenero(idGenero, { nombre }, { actor: req.usuario });
+
+    if (!genero) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Genero no encontrado', {
+            id_genero: idGenero
+          })
+        );
+    }
+
+    res.json(createResponse('success', 'Genero actualizado', { genero }));
+  } catch (error) {
+    if (error.code === 'GENERO_DUPLICATE_NAME') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'El genero ya existe', {
+            field: 'nombre'
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al actualizar genero', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Delete genre endpoint
+app.delete('/api/generos/:id', requireRole('admin'), async (req, res) => {
+  const idGenero = req.params.id;
+
+  try {
+    const genero = await deleteGenero(idGenero);
+
+    if (!genero) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Genero no encontrado', {
+            id_genero: idGenero
+          })
+        );
+    }
+
+    res.json(createResponse('success', 'Genero eliminado', { genero }));
+  } catch (error) {
+    if (error.code === 'GENERO_IN_USE') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'No se puede eliminar el genero porque es el genero principal de algunos artistas', {
+            id_genero: idGenero,
+            artistas: error.artistas
+          })
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al eliminar genero', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Artists of a genre endpoint, principal or secondary
+app.get('/api/generos/:id/artistas', async (req, res) => {
+  const idGenero = req.params.id;
+  const params = pickFields(req.query, ['limit', 'offset']);
+
+  try {
+    const found = await getArtistasPorGenero(idGenero, params);
+
+    if (!found) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Genero no encontrado', {
+            id_genero: idGenero
+          })
+        );
+    }
+
+    res.json(
+      createResponse('success', 'Artistas del genero obtenidos', {
+        genero: found.genero,
+        artistas: found.artistas,
+        pagination: buildPagination(req, found.total, params)
+      })
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener los artistas del genero', {
+          error: error.message
+        })
+      );
+  }
+});
+
+// Genres of an artist endpoint
+app.get('/api/artistas/:id/generos', async (req, res) => {
+  const idArtista = req.params.id;
+
+  try {
+    const generos = await getGenerosPorArtista(idArtista);
+
+    if (!generos) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Artista no encontrado', {
+            id_artista: idArtista
+          })
+        );
+    }
 
-  if (validationErrors.length > 0) {
-    return res
-      .status(400)
+    res.json(createResponse('success', 'Generos del artista obtenidos', { generos }));
+  } catch (error) {
+    res
+      .status(500)
       .json(
-        createResponse('error', 'titulo_album, anio_album e id_artista son obligatorios', {
-          required: ['titulo_album', 'anio_album', 'id_artista'],
-          invalid: validationErrors
+        createResponse('error', 'Error al obtener los generos del artista', {
+          error: error.message
         })
       );
   }
+});
+
+// Replace the genres of an artist; the first one becomes its principal genre. The artist
+// version goes up like on any other edit.
+app.put('/api/artistas/:id/generos', requireRole('editor'), async (req, res) => {
+  const idArtista = req.params.id;
+  const versionesEsperadas = parseIfMatch(req.get('If-Match'));
 
   try {
-    const album = await createAlbum({
-      titulo_album: tituloAlbum,
-      anio_album: anioAlbum,
-      id_artista: idArtista
-    });
+    const artista = await setGenerosArtista(idArtista, req.body.generos, { actor: req.usuario, versionesEsperadas });
 
-    res
-      .status(201)
-      .json(createResponse('success', 'Album creado', { album }));
-  } catch (error) {
-    if (error.code === 'ALBUM_TITLE_EXISTS') {
+    if (!artista) {
       return res
-        .status(409)
+        .status(404)
         .json(
-          createResponse('error', 'El titulo del album ya existe', {
-            field: 'titulo_album'
+          createResponse('error', 'Artista no encontrado', {
+            id_artista: idArtista
           })
         );
     }
 
-    if (error.code === 'ARTISTA_NOT_FOUND') {
+    res.set('ETag', formatEtag(artista.version));
+    res.json(createResponse('success', 'Generos del artista actualizados', { artista }));
+  } catch (error) {
+    if (error.code === 'VERSION_MISMATCH') {
+      return respondVersionMismatch(res, 'artista', error.actual);
+    }
+
+    if (error.code === 'GENERO_NOT_FOUND') {
       return res
         .status(404)
         .json(
-          createResponse('error', 'El artista especificado no existe', {
-            field: 'id_artista'
+          createResponse('error', 'Los generos especificados no existen', {
+            field: 'generos',
+            ids: error.ids
           })
         );
     }
@@ -200,152 +1868,114 @@ app.post('/api/agregar_album', async (req, res) => {
     res
       .status(500)
       .json(
-        createResponse('error', 'Error al crear album', {
+        createResponse('error', 'Error al actualizar los generos del artista', {
           error: error.message
         })
       );
   }
 });
 
-// Albums by artist name endpoint
-app.get('/api/artistas/nombre/:nombre/albumes', async (req, res) => {
-  const nombreArtista = typeof req.params.nombre === 'string' ? req.params.nombre.trim() : '';
-
-  if (!nombreArtista) {
-    return res
-      .status(400)
-      .json(
-        createResponse('error', 'nombre es obligatorio', {
-          field: 'nombre'
-        })
-      );
-  }
+// Reviews of an album, newest first
+app.get('/api/albumes/:id/resenas', async (req, res) => {
+  const idAlbum = req.params.id;
+  const params = pickFields(req.query, ['limit', 'offset']);
 
   try {
-    const artista = await findArtistaPorNombre(nombreArtista);
+    const found = await getResenas(idAlbum, params);
 
-    if (!artista) {
+    if (!found) {
       return res
         .status(404)
         .json(
-          createResponse('error', 'Artista no encontrado', {
-            nombre: nombreArtista
+          createResponse('error', 'Album no encontrado', {
+            id_album: idAlbum
           })
         );
     }
 
-    const albumes = await getAlbumesPorArtista(artista.id_artista);
-
-    if (albumes.length === 0) {
-      return res.json(
-        createResponse('success', 'El artista no tiene albumes registrados', {
-          artista,
-          albumes: []
-        })
-      );
-    }
-
     res.json(
-      createResponse('success', 'Albumes obtenidos para el artista', {
-        artista,
-        albumes
+      createResponse('success', 'Resenas obtenidas para el album', {
+        resenas: found.resenas,
+        pagination: buildPagination(req, found.total, params)
       })
     );
   } catch (error) {
     res
       .status(500)
       .json(
-        createResponse('error', 'Error al obtener los albumes del artista', {
+        createResponse('error', 'Error al obtener las resenas del album', {
           error: error.message
         })
       );
   }
 });
 
-// Update artist endpoint
-app.patch('/api/artistas/:id', async (req, res) => {
-  const idArtista = Number.parseInt(req.params.id, 10);
-
-  if (!Number.isInteger(idArtista)) {
-    return res
-      .status(400)
-      .json(
-        createResponse('error', 'id debe ser un numero entero', {
-          field: 'id'
-        })
-      );
-  }
+// Rate and review an album as the signed-in user
+app.post('/api/albumes/:id/resenas', requireRole('lector'), async (req, res) => {
+  const idAlbum = req.params.id;
+  const values = pickFields(req.body, ['puntuacion', 'texto']);
 
-  const updates = {};
-  const invalidFields = [];
+  try {
+    const resena = await createResena(idAlbum, req.usuario.id_usuario, values);
 
-  if (Object.prototype.hasOwnProperty.call(req.body, 'nombre')) {
-    if (typeof req.body.nombre === 'string' && req.body.nombre.trim()) {
-      updates.nombre = req.body.nombre.trim();
-    } else {
-      invalidFields.push('nombre');
+    if (!resena) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Album no encontrado', {
+            id_album: idAlbum
+          })
+        );
     }
-  }
 
-  if (Object.prototype.hasOwnProperty.call(req.body, 'genero_musica')) {
-    if (typeof req.body.genero_musica === 'string' && req.body.genero_musica.trim()) {
-      updates.genero_musica = req.body.genero_musica.trim();
-    } else {
-      invalidFields.push('genero_musica');
+    res.status(201).json(createResponse('success', 'Resena creada', { resena }));
+  } catch (error) {
+    if (error.code === 'RESENA_DUPLICADA') {
+      return res
+        .status(409)
+        .json(
+          createResponse('error', 'Ya existe una resena de este usuario para el album', {
+            id_album: idAlbum
+          })
+        );
     }
-  }
 
-  if (invalidFields.length > 0) {
-    return res
-      .status(400)
+    res
+      .status(500)
       .json(
-        createResponse('error', 'Campos de artista invalidos', {
-          invalid: invalidFields
+        createResponse('error', 'Error al crear resena', {
+          error: error.message
         })
       );
   }
+});
 
-  if (Object.keys(updates).length === 0) {
-    return res
-      .status(400)
-      .json(
-        createResponse('error', 'No se proporcionaron campos para actualizar', {
-          allowed: ['nombre', 'genero_musica']
-        })
-      );
-  }
+// Change the signed-in user's review of an album
+app.patch('/api/albumes/:id/resenas', requireRole('lector'), async (req, res) => {
+  const idAlbum = req.params.id;
+  const updates = pickFields(req.body, ['puntuacion', 'texto']);
 
   try {
-    const artista = await updateArtista(idArtista, updates);
+    const resena = await updateResena(idAlbum, req.usuario.id_usuario, updates);
 
-    if (!artista) {
+    if (!resena) {
       return res
         .status(404)
         .json(
-          createResponse('error', 'Artista no encontrado', {
-            id_artista: idArtista
+          createResponse('error', 'Resena no encontrada', {
+            id_album: idAlbum
           })
         );
     }
 
-    res.json(createResponse('success', 'Artista actualizado', { artista }));
+    res.json(createResponse('success', 'Resena actualizada', { resena }));
   } catch (error) {
-    if (error.code === 'ARTISTA_DUPLICATE_NAME') {
-      return res
-        .status(409)
-        .json(
-          createResponse('error', 'El nombre del artista ya existe', {
-            field: 'nombre'
-          })
-        );
-    }
-
     if (error.message === 'No update fields provided') {
       return res
         .status(400)
         .json(
           createResponse('error', 'No se proporcionaron campos para actualizar', {
-            allowed: ['nombre', 'genero_musica']
+            allowed: ['puntuacion', 'texto']
           })
         );
     }
@@ -353,78 +1983,62 @@ app.patch('/api/artistas/:id', async (req, res) => {
     res
       .status(500)
       .json(
-        createResponse('error', 'Error al actualizar artista', {
+        createResponse('error', 'Error al actualizar resena', {
           error: error.message
         })
       );
   }
 });
 
-// Update album endpoint
-app.patch('/api/albumes/:id', async (req, res) => {
-  const idAlbum = Number.parseInt(req.params.id, 10);
+// Delete the signed-in user's review of an album. Admins moderate other users' reviews
+// by passing id_usuario.
+app.delete('/api/albumes/:id/resenas', requireRole('lector'), async (req, res) => {
+  const idAlbum = req.params.id;
+  const idUsuario = req.query.id_usuario ?? req.usuario.id_usuario;
 
-  if (!Number.isInteger(idAlbum)) {
+  if (idUsuario !== req.usuario.id_usuario && !hasRole(req.usuario, 'admin')) {
     return res
-      .status(400)
+      .status(403)
       .json(
-        createResponse('error', 'id debe ser un numero entero', {
-          field: 'id'
+        createResponse('error', 'Permisos insuficientes', {
+          required: 'admin',
+          rol: req.usuario.rol
         })
       );
   }
 
-  const updates = {};
-  const invalidFields = [];
-
-  if (Object.prototype.hasOwnProperty.call(req.body, 'titulo_album')) {
-    if (typeof req.body.titulo_album === 'string' && req.body.titulo_album.trim()) {
-      updates.titulo_album = req.body.titulo_album.trim();
-    } else {
-      invalidFields.push('titulo_album');
-    }
-  }
-
-  if (Object.prototype.hasOwnProperty.call(req.body, 'anio_album')) {
-    const parsedYear = Number.parseInt(req.body.anio_album, 10);
-    if (Number.isInteger(parsedYear)) {
-      updates.anio_album = parsedYear;
-    } else {
-      invalidFields.push('anio_album');
-    }
-  }
+  try {
+    const resena = await deleteResena(idAlbum, idUsuario);
 
-  if (Object.prototype.hasOwnProperty.call(req.body, 'id_artista')) {
-    const parsedArtistId = Number.parseInt(req.body.id_artista, 10);
-    if (Number.isInteger(parsedArtistId)) {
-      updates.id_artista = parsedArtistId;
-    } else {
-      invalidFields.push('id_artista');
+    if (!resena) {
+      return res
+        .status(404)
+        .json(
+          createResponse('error', 'Resena no encontrada', {
+            id_album: idAlbum,
+            id_usuario: idUsuario
+          })
+        );
     }
-  }
 
-  if (invalidFields.length > 0) {
-    return res
-      .status(400)
+    res.json(createResponse('success', 'Resena eliminada', { resena }));
+  } catch (error) {
+    res
+      .status(500)
       .json(
-        createResponse('error', 'Campos de album invalidos', {
-          invalid: invalidFields
+        createResponse('error', 'Error al eliminar resena', {
+          error: error.message
         })
       );
   }
+});
 
-  if (Object.keys(updates).length === 0) {
-    return res
-      .status(400)
-      .json(
-        createResponse('error', 'No se proporcionaron campos para actualizar', {
-          allowed: ['titulo_album', 'anio_album', 'id_artista']
-        })
-      );
-  }
+// Canciones of an album endpoint
+app.get('/api/albumes/:id/canciones', async (req, res) => {
+  const idAlbum = req.params.id;
 
   try {
-    const album = await updateAlbum(idAlbum, updates);
+    const album = await getAlbumPorId(idAlbum);
 
     if (!album) {
       return res
@@ -436,34 +2050,53 @@ app.patch('/api/albumes/:id', async (req, res) => {
         );
     }
 
-    res.json(createResponse('success', 'Album actualizado', { album }));
+    const canciones = await getCancionesPorAlbum(idAlbum);
+
+    res.json(
+      createResponse('success', 'Canciones obtenidas para el album', {
+        album,
+        canciones
+      })
+    );
   } catch (error) {
-    if (error.code === 'ALBUM_TITLE_EXISTS') {
-      return res
-        .status(409)
-        .json(
-          createResponse('error', 'El titulo del album ya existe', {
-            field: 'titulo_album'
-          })
-        );
-    }
+    res
+      .status(500)
+      .json(
+        createResponse('error', 'Error al obtener las canciones del album', {
+          error: error.message
+        })
+      );
+  }
+});
 
-    if (error.code === 'ARTISTA_NOT_FOUND') {
+// Create cancion endpoint
+app.post('/api/albumes/:id/canciones', requireRole('editor'), async (req, res) => {
+  const idAlbum = req.params.id;
+  const values = pickFields(req.body, ['titulo_cancion', 'numero_disco', 'numero_pista', 'duracion_segundos']);
+
+  try {
+    const cancion = await createCancion(idAlbum, values, { actor: req.usuario });
+
+    res
+      .status(201)
+      .json(createResponse('success', 'Cancion creada', { cancion }));
+  } catch (error) {
+    if (error.code === 'ALBUM_NOT_FOUND') {
       return res
         .status(404)
         .json(
-          createResponse('error', 'El artista especificado no existe', {
-            field: 'id_artista'
+          createResponse('error', 'Album no encontrado', {
+            id_album: idAlbum
           })
         );
     }
 
-    if (error.message === 'No update fields provided') {
+    if (error.code === 'CANCION_POSITION_EXISTS') {
       return res
-        .status(400)
+        .status(409)
         .json(
-          createResponse('error', 'No se proporcionaron campos para actualizar', {
-            allowed: ['titulo_album', 'anio_album', 'id_artista']
+          createResponse('error', 'Ya existe una cancion en esa posicion del album', {
+            fields: ['numero_disco', 'numero_pista']
           })
         );
     }
@@ -471,48 +2104,39 @@ app.patch('/api/albumes/:id', async (req, res) => {
     res
       .status(500)
       .json(
-        createResponse('error', 'Error al actualizar album', {
+        createResponse('error', 'Error al crear cancion', {
           error: error.message
         })
       );
   }
 });
 
-// Delete artist endpoint
-app.delete('/api/artistas/:id', async (req, res) => {
-  const idArtista = Number.parseInt(req.params.id, 10);
-
-  if (!Number.isInteger(idArtista)) {
-    return res
-      .status(400)
-      .json(
-        createResponse('error', 'id debe ser un numero entero', {
-          field: 'id'
-        })
-      );
-  }
+// Update cancion endpoint
+app.patch('/api/canciones/:id', requireRole('editor'), async (req, res) => {
+  const idCancion = req.params.id;
+  const updates = pickFields(req.body, ['titulo_cancion', 'numero_disco', 'numero_pista', 'duracion_segundos']);
 
   try {
-    const artista = await deleteArtista(idArtista);
+    const cancion = await updateCancion(idCancion, updates, { actor: req.usuario });
 
-    if (!artista) {
+    if (!cancion) {
       return res
         .status(404)
         .json(
-          createResponse('error', 'Artista no encontrado', {
-            id_artista: idArtista
+          createResponse('error', 'Cancion no encontrada', {
+            id_cancion: idCancion
           })
         );
     }
 
-    res.json(createResponse('success', 'Artista eliminado', { artista }));
+    res.json(createResponse('success', 'Cancion actualizada', { cancion }));
   } catch (error) {
-    if (error.code === 'ARTISTA_HAS_DEPENDENCIES') {
+    if (error.code === 'CANCION_POSITION_EXISTS') {
       return res
         .status(409)
         .json(
-          createResponse('error', 'No se puede eliminar el artista porque tiene registros asociados', {
-            id_artista: idArtista
+          createResponse('error', 'Ya existe una cancion en esa posicion del album', {
+            fields: ['numero_disco', 'numero_pista']
           })
         );
     }
@@ -520,56 +2144,36 @@ app.delete('/api/artistas/:id', async (req, res) => {
     res
       .status(500)
       .json(
-        createResponse('error', 'Error al eliminar artista', {
+        createResponse('error', 'Error al actualizar cancion', {
           error: error.message
         })
       );
   }
 });
 
-// Delete album endpoint
-app.delete('/api/albumes/:id', async (req, res) => {
-  const idAlbum = Number.parseInt(req.params.id, 10);
-
-  if (!Number.isInteger(idAlbum)) {
-    return res
-      .status(400)
-      .json(
-        createResponse('error', 'id debe ser un numero entero', {
-          field: 'id'
-        })
-      );
-  }
+// Delete cancion endpoint
+app.delete('/api/canciones/:id', requireRole('admin'), async (req, res) => {
+  const idCancion = req.params.id;
 
   try {
-    const album = await deleteAlbum(idAlbum);
+    const cancion = await deleteCancion(idCancion, { actor: req.usuario });
 
-    if (!album) {
+    if (!cancion) {
       return res
         .status(404)
         .json(
-          createResponse('error', 'Album no encontrado', {
-            id_album: idAlbum
+          createResponse('error', 'Cancion no encontrada', {
+            id_cancion: idCancion
           })
         );
     }
 
-    res.json(createResponse('success', 'Album eliminado', { album }));
+    res.json(createResponse('success', 'Cancion eliminada', { cancion }));
   } catch (error) {
-    if (error.code === 'ALBUM_HAS_DEPENDENCIES') {
-      return res
-        .status(409)
-        .json(
-          createResponse('error', 'No se puede eliminar el album porque tiene registros asociados', {
-            id_album: idAlbum
-          })
-        );
-    }
-
     res
       .status(500)
       .json(
-        createResponse('error', 'Error al eliminar album', {
+        createResponse('error', 'Error al eliminar cancion', {
           error: error.message
         })
       );
@@ -577,12 +2181,24 @@ app.delete('/api/albumes/:id', async (req, res) => {
 });
 
 // Albumes endpoint
-app.get('/api/albumes', async (req, res) => {
+app.get('/api/albumes', deprecated(() => '/api/v2/albumes'), async (req, res) => {
+  const params = pickFields(req.query, [
+    'limit',
+    'offset',
+    'sort',
+    'order',
+    'genero_musica',
+    'anio_desde',
+    'anio_hasta',
+    'id_artista'
+  ]);
+
   try {
-    const albumes = await getAlbumes();
+    const { albumes, total } = await getAlbumes(params);
     res.json(
       createResponse('success', 'Albumes obtenidos', {
-        albumes
+        albumes,
+        pagination: buildPagination(req, total, params)
       })
     );
   } catch (error) {
@@ -596,20 +2212,92 @@ app.get('/api/albumes', async (req, res) => {
   }
 });
 
+// Resource-oriented artist and album routes
+app.use('/api/v2', v2Router);
+
+// Validation and malformed JSON errors
+app.use(validationErrorHandler);
+
+// Bring the schema up to date (or check it) according to MIGRATIONS_MODE
+async function checkMigrations() {
+  if (MIGRATIONS_MODE === 'auto') {
+    const applied = await migrateUp();
+    applied.forEach(({ version, name }) => logger.info('Applied migration', { migration: `${version}_${name}` }));
+    return;
+  }
+
+  const { upToDate, pending } = await getMigrationStatus();
+
+  if (upToDate) {
+    return;
+  }
+
+  const pendingNames = pending.map(({ version, name }) => `${version}_${name}`).join(', ');
+
+  if (MIGRATIONS_MODE === 'strict') {
+    throw new Error(`Database schema is behind, pending migrations: ${pendingNames}`);
+  }
+
+  logger.warn('Pending migrations, run "npm run migrate"', { pending: pendingNames });
+}
+
+// Create the first admin from ADMIN_EMAIL and ADMIN_PASSWORD, for deployments without a
+// shell to run "coleccion usuarios create". Nothing happens once any admin exists.
+async function bootstrapAdminFromEnv() {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    return;
+  }
+
+  if (ADMIN_PASSWORD.length < PASSWORD_MIN_LENGTH) {
+    throw new Error(`ADMIN_PASSWORD must have at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+
+  const usuario = await bootstrapAdmin({
+    email: ADMIN_EMAIL.trim(),
+    password_hash: await hashPassword(ADMIN_PASSWORD)
+  });
+
+  if (usuario) {
+    logger.info('Created admin user', { id_usuario: usuario.id_usuario, email: usuario.email });
+  }
+}
+
 // Start server - bind to all interfaces on Render, localhost for development
 // Check if we're on Render (has PORT env var AND NODE_ENV is production) or localhost
 const isProduction = process.env.NODE_ENV === 'production' || process.env.RENDER;
 
-if (isProduction) {
-  // Render environment - bind to all interfaces
-  app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server is running on 0.0.0.0:${PORT}`);
-    console.log(`Health check available at: http://0.0.0.0:${PORT}/api/health`);
-  });
-} else {
-  // Local development - bind to localhost
-  app.listen(PORT, 'localhost', () => {
-    console.log(`Server is running on localhost:${PORT}`);
-    console.log(`Health check available at: http://localhost:${PORT}/api/health`);
-  });
+async function startServer() {
+  try {
+    await checkMigrations();
+  } catch (error) {
+    // In warn mode an unreachable database should not keep the server down
+    if (MIGRATIONS_MODE !== 'warn') {
+      logger.error('Refusing to start', { error: error.message });
+      process.exit(1);
+    }
+
+    logger.warn('Could not check migrations', { error: error.message });
+  }
+
+  try {
+    await bootstrapAdminFromEnv();
+  } catch (error) {
+    logger.warn('Could not create the admin user', { error: error.message });
+  }
+
+  if (isProduction) {
+    // Render environment - bind to all interfaces
+    app.listen(PORT, '0.0.0.0', () => {
+      logger.info('Server is running', { host: '0.0.0.0', port: PORT, health: `http://0.0.0.0:${PORT}/api/health` });
+    });
+  } else {
+    // Local development - bind to localhost
+    app.listen(PORT, 'localhost', () => {
+      logger.info('Server is running', { host: 'localhost', port: PORT, health: `http://localhost:${PORT}/api/health` });
+    });
+  }
 }
+
+startServer();
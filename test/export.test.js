@@ -0,0 +1,61 @@
+// Runs against the embedded database in memory, through the same instrumented pool the API
+// uses, so the export cursor goes through the query timing wrapper
+process.env.DB_DRIVER = 'embedded';
+delete process.env.EMBEDDED_DB_DIR;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createArtista, createAlbum, streamColeccionMusical } = require('../config/database');
+const { migrateUp } = require('../config/migrations');
+
+// The embedded pool has a single connection, so a leaked one blocks the next connect()
+const assertConnectionFree = async () => {
+  assert.equal(pool.stats().idle, 1);
+
+  const client = await pool.connect();
+  client.release();
+};
+
+before(async () => {
+  await migrateUp();
+
+  const soda = await createArtista({ nombre: 'Soda Stereo', genero_musica: 'Rock' });
+  await createArtista({ nombre: 'Mercedes Sosa', genero_musica: 'Folklore;  Nueva   trova' });
+
+  for (const [titulo_album, anio_album] of [['Signos', 1986], ['Nada personal', 1985], ['Cancion animal', 1990]]) {
+    await createAlbum({ titulo_album, anio_album, id_artista: soda.id_artista });
+  }
+});
+
+after(async () => {
+  await pool.end();
+});
+
+test('streams one row per album, artists without albums once, with all their genres', async () => {
+  const rows = [];
+
+  for await (const row of streamColeccionMusical({ batchSize: 2 })) {
+    rows.push(row);
+  }
+
+  assert.deepEqual(
+    rows.map(({ nombre, genero_musica, titulo_album }) => [nombre, genero_musica, titulo_album]),
+    [
+      ['Mercedes Sosa', 'Folklore, Nueva trova', null],
+      ['Soda Stereo', 'Rock', 'Nada personal'],
+      ['Soda Stereo', 'Rock', 'Signos'],
+      ['Soda Stereo', 'Rock', 'Cancion animal']
+    ]
+  );
+  await assertConnectionFree();
+});
+
+test('releases the connection when the export is abandoned', async () => {
+  for await (const row of streamColeccionMusical({ batchSize: 1 })) {
+    assert.equal(row.nombre, 'Mercedes Sosa');
+    break;
+  }
+
+  await assertConnectionFree();
+});
@@ -0,0 +1,29 @@
+// The ETag of an artist or album is its version number, quoted as a strong validator
+const formatEtag = (version) => `"${version}"`;
+
+// The ETag of a single-album GET, whose body also has the review aggregates. Reviews do not
+// change the album version, so the review count and average follow it: "3-2-4.5" is version
+// 3 with two reviews averaging 4.5. If-Match only looks at the version.
+const formatAlbumEtag = ({ version, total_resenas, valoracion_media }) =>
+  `"${version}-${total_resenas}-${valoracion_media ?? 0}"`;
+
+// Versions listed in an If-Match header, or null when the header is absent or "*". Album
+// tags with review aggregates count by their version. Tags that are not one of ours are
+// dropped, so they never match.
+const parseIfMatch = (header) => {
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+
+  return header
+    .split(',')
+    .map(tag => /^(?:W\/)?"(\d+)(?:-\d+-[\d.]+)?"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map(match => Number.parseInt(match[1], 10));
+};
+
+module.exports = {
+  formatEtag,
+  formatAlbumEtag,
+  parseIfMatch
+};
@@ -0,0 +1,135 @@
+const { Readable } = require('stream');
+const { IMPORT_CSV_COLUMNS } = require('./import');
+
+// Quote a CSV value only when it needs it, doubling embedded quotes
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xmlEscape = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const xmlElement = (name, value, indent) => `${indent}<${name}>${xmlEscape(value)}</${name}>\n`;
+
+const artistaXml = ({ nombre, genero_musica, albumes }) => {
+  const albumesXml = albumes
+    .map(album =>
+      '      <album>\n' +
+      xmlElement('titulo_album', album.titulo_album, '        ') +
+      xmlElement('anio_album', album.anio_album, '        ') +
+      '      </album>\n'
+    )
+    .join('');
+
+  return '  <artista>\n' +
+    xmlElement('nombre', nombre, '    ') +
+    xmlElement('genero_musica', genero_musica, '    ') +
+    (albumesXml ? `    <albumes>\n${albumesXml}    </albumes>\n` : '    <albumes/>\n') +
+    '  </artista>\n';
+};
+
+// Every format writes the same fields the import reads, so an export can be imported back.
+// Grouped formats receive one artist with its albums at a time, CSV receives flat rows.
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    grouped: false,
+    start: `${IMPORT_CSV_COLUMNS.join(',')}\n`,
+    item: (row) => `${IMPORT_CSV_COLUMNS.map(column => csvValue(row[column])).join(',')}\n`,
+    end: ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    grouped: true,
+    start: '[\n',
+    item: (artista, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(artista)}`,
+    end: '\n]\n'
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    grouped: true,
+    start: '',
+    item: (artista) => `${JSON.stringify(artista)}\n`,
+    end: ''
+  },
+  xml: {
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'xml',
+    grouped: true,
+    start: '<?xml version="1.0" encoding="UTF-8"?>\n<coleccion>\n',
+    item: artistaXml,
+    end: '</coleccion>\n'
+  }
+};
+
+// Fold consecutive flat rows of the same artist into { nombre, genero_musica, albumes }
+async function* groupByArtista(rows) {
+  let current = null;
+  let currentId = null;
+
+  for await (const row of rows) {
+    if (row.id_artista !== currentId) {
+      if (current) {
+        yield current;
+      }
+
+      current = { nombre: row.nombre, genero_musica: row.genero_musica, albumes: [] };
+      currentId = row.id_artista;
+    }
+
+    if (row.id_album !== null) {
+      current.albumes.push({ titulo_album: row.titulo_album, anio_album: row.anio_album });
+    }
+  }
+
+  if (current) {
+    yield current;
+  }
+}
+
+// Render flat collection rows as text chunks. Nothing is produced until the first row
+// arrives, so a failure opening the cursor happens before any byte is sent.
+async function* renderExport(format, rows) {
+  const items = format.grouped ? groupByArtista(rows) : rows;
+  let index = 0;
+
+  for await (const item of items) {
+    yield (index === 0 ? format.start : '') + format.item(item, index);
+    index += 1;
+  }
+
+  yield (index === 0 ? format.start : '') + format.end;
+}
+
+// Wait for the first chunk, then hand back a readable stream with the whole output
+async function openExportStream(chunks) {
+  const first = await chunks.next();
+
+  return Readable.from(
+    (async function* () {
+      if (!first.done) {
+        yield first.value;
+        yield* chunks;
+      }
+    })()
+  );
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  renderExport,
+  openExportStream
+};
@@ -0,0 +1,40 @@
+// How free-text genre values (genero_musica, imports) turn into catalogue genre names, shared
+// by the API and migration 009 so both read a value like "Rock, Pop" the same way. The
+// patterns are valid both as JavaScript and as PostgreSQL regular expressions.
+
+// Several genres can be listed in one value, separated by commas, slashes or semicolons
+const SEPARADORES_GENERO = '[,/;]';
+const ESPACIOS_GENERO = '\\s+';
+
+// Separator used when writing a list of genres back as one value, as the export does
+const SEPARADOR_GENEROS = ', ';
+
+// Genre names are compared trimmed, with single spaces and ignoring case
+const normalizarGenero = (nombre) => nombre.trim().replace(new RegExp(ESPACIOS_GENERO, 'g'), ' ');
+
+// The genre names in a free-text value, in order, leaving out empty parts and repeats
+function splitGeneros(texto) {
+  const claves = new Set();
+
+  return texto
+    .split(new RegExp(SEPARADORES_GENERO))
+    .map(normalizarGenero)
+    .filter((nombre) => {
+      const clave = nombre.toLowerCase();
+
+      if (nombre === '' || claves.has(clave)) {
+        return false;
+      }
+
+      claves.add(clave);
+      return true;
+    });
+}
+
+module.exports = {
+  SEPARADORES_GENERO,
+  ESPACIOS_GENERO,
+  SEPARADOR_GENEROS,
+  normalizarGenero,
+  splitGeneros
+};
@@ -0,0 +1,50 @@
+const { createResponse } = require('./response');
+const { formatEtag } = require('./etag');
+const { DEFAULT_PAGE_LIMIT } = require('../config/database');
+
+// Request and response helpers shared by the routes in server.js and routes/
+
+// Copy the given fields present in an already validated body or query, trimming string values
+const pickFields = (source, fields) =>
+  fields.reduce((values, field) => {
+    if (Object.prototype.hasOwnProperty.call(source, field)) {
+      values[field] = typeof source[field] === 'string' ? source[field].trim() : source[field];
+    }
+
+    return values;
+  }, {});
+
+// Answer a write whose If-Match no longer matches with the current representation
+const respondVersionMismatch = (res, key, actual) =>
+  res
+    .status(412)
+    .set('ETag', formatEtag(actual.version))
+    .json(
+      createResponse('error', 'El recurso fue modificado por otra solicitud, vuelva a cargarlo', {
+        [key]: actual
+      })
+    );
+
+// Build total/limit/offset metadata with next/prev links that keep the other query params
+const buildPagination = (req, total, { limit = DEFAULT_PAGE_LIMIT, offset = 0 }) => {
+  const buildLink = (targetOffset) => {
+    const searchParams = new URLSearchParams(req.query);
+    searchParams.set('limit', String(limit));
+    searchParams.set('offset', String(targetOffset));
+    return `${req.baseUrl}${req.path}?${searchParams.toString()}`;
+  };
+
+  return {
+    total,
+    limit,
+    offset,
+    next: offset + limit < total ? buildLink(offset + limit) : null,
+    prev: offset > 0 ? buildLink(Math.max(offset - limit, 0)) : null
+  };
+};
+
+module.exports = {
+  pickFields,
+  respondVersionMismatch,
+  buildPagination
+};
@@ -0,0 +1,190 @@
+const { parse } = require('csv-parse/sync');
+const { XMLParser } = require('fast-xml-parser');
+const { splitGeneros } = require('./generos');
+
+// Columns of the CSV format shared by the import and the CSV export. Each line is one
+// album; a line with empty album columns only registers the artist.
+const IMPORT_CSV_COLUMNS = ['nombre', 'genero_musica', 'titulo_album', 'anio_album'];
+
+const MAX_TEXT_LENGTH = 100;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const formatError = (message) => {
+  const error = new Error(message);
+  error.code = 'IMPORT_INVALID_FORMAT';
+  return error;
+};
+
+// Normalize one artist/album row and record why it is invalid, if it is
+function normalizeRow(referencia, { nombre, genero_musica, titulo_album, anio_album }) {
+  const row = { referencia };
+  const motivos = [];
+
+  [['nombre', nombre], ['genero_musica', genero_musica], ['titulo_album', titulo_album]].forEach(
+    ([field, value]) => {
+      if (isBlank(value)) {
+        return;
+      }
+
+      if (typeof value !== 'string') {
+        motivos.push(`${field} debe ser texto`);
+      } else if (value.trim().length > MAX_TEXT_LENGTH) {
+        motivos.push(`${field} supera ${MAX_TEXT_LENGTH} caracteres`);
+      } else {
+        row[field] = value.trim();
+      }
+    }
+  );
+
+  if (isBlank(nombre)) {
+    motivos.push('nombre es obligatorio');
+  }
+
+  if (isBlank(genero_musica)) {
+    motivos.push('genero_musica es obligatorio');
+  } else if (row.genero_musica !== undefined && splitGeneros(row.genero_musica).length === 0) {
+    motivos.push('genero_musica no nombra ningun genero');
+  }
+
+  if (!isBlank(anio_album)) {
+    // CSV values always arrive as text, so numeric strings are accepted as years
+    const anio = typeof anio_album === 'string' && /^\d+$/.test(anio_album.trim())
+      ? Number.parseInt(anio_album, 10)
+      : anio_album;
+
+    if (Number.isInteger(anio)) {
+      row.anio_album = anio;
+    } else {
+      motivos.push('anio_album debe ser un numero entero');
+    }
+  }
+
+  if (isBlank(titulo_album) !== isBlank(anio_album)) {
+    motivos.push('titulo_album y anio_album deben indicarse juntos');
+  }
+
+  if (motivos.length > 0) {
+    row.motivo = motivos.join('; ');
+  }
+
+  return row;
+}
+
+// Parse CSV text with a header line into normalized rows, referenced by line number
+function parseImportCsv(text) {
+  let records;
+  try {
+    records = parse(text, {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      info: true
+    });
+  } catch (error) {
+    throw formatError(`Invalid CSV: ${error.message}`);
+  }
+
+  if (records.length > 0) {
+    const missingColumns = ['nombre', 'genero_musica'].filter(
+      column => !Object.prototype.hasOwnProperty.call(records[0].record, column)
+    );
+
+    if (missingColumns.length > 0) {
+      throw formatError(`Missing CSV columns: ${missingColumns.join(', ')}`);
+    }
+  }
+
+  return records.map(({ record, info }) => normalizeRow(`linea ${info.lines}`, record));
+}
+
+// Flatten one { nombre, genero_musica, albumes: [...] } entry into rows
+function flattenArtista(artista, referencia) {
+  if (!artista || typeof artista !== 'object' || Array.isArray(artista)) {
+    return [{ referencia, motivo: 'cada artista debe ser un objeto' }];
+  }
+
+  const { nombre, genero_musica, albumes = [] } = artista;
+
+  if (!Array.isArray(albumes)) {
+    return [{ referencia, motivo: 'albumes debe ser una lista' }];
+  }
+
+  if (albumes.length === 0) {
+    return [normalizeRow(referencia, { nombre, genero_musica })];
+  }
+
+  return albumes.map((album, albumIndex) =>
+    normalizeRow(`${referencia}.albumes[${albumIndex}]`, {
+      nombre,
+      genero_musica,
+      titulo_album: album?.titulo_album,
+      anio_album: album?.anio_album
+    })
+  );
+}
+
+// Flatten [{ nombre, genero_musica, albumes: [...] }] (or { artistas: [...] }) into rows,
+// referenced by their JSON path
+function parseImportJson(body) {
+  const artistas = Array.isArray(body) ? body : body?.artistas;
+
+  if (!Array.isArray(artistas)) {
+    throw formatError('Expected an array of artistas or an object with an artistas array');
+  }
+
+  return artistas.flatMap((artista, index) => flattenArtista(artista, `artistas[${index}]`));
+}
+
+// One artist object per line, as produced by the NDJSON export
+function parseImportNdjson(text) {
+  return text.split(/\r?\n/).flatMap((line, index) => {
+    const referencia = `linea ${index + 1}`;
+
+    if (line.trim() === '') {
+      return [];
+    }
+
+    try {
+      return flattenArtista(JSON.parse(line), referencia);
+    } catch (error) {
+      return [{ referencia, motivo: 'la linea no es JSON valido' }];
+    }
+  });
+}
+
+// <coleccion><artista><nombre/><genero_musica/><albumes><album>...</album></albumes></artista></coleccion>,
+// as produced by the XML export. Values stay text and are checked like CSV values.
+function parseImportXml(text) {
+  let document;
+  try {
+    document = new XMLParser({
+      isArray: (name) => name === 'artista' || name === 'album',
+      parseTagValue: false
+    }).parse(text, true);
+  } catch (error) {
+    throw formatError(`Invalid XML: ${error.message}`);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(document, 'coleccion')) {
+    throw formatError('Expected a <coleccion> root element');
+  }
+
+  const artistas = document.coleccion?.artista ?? [];
+
+  return artistas.flatMap((artista, index) =>
+    flattenArtista(
+      { ...artista, albumes: artista?.albumes?.album ?? [] },
+      `artista[${index}]`
+    )
+  );
+}
+
+module.exports = {
+  IMPORT_CSV_COLUMNS,
+  parseImportCsv,
+  parseImportJson,
+  parseImportNdjson,
+  parseImportXml
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { storage } = require('../config/storage');
+const { logger } = require('../config/logger');
+
+// Accepted cover types, by Content-Type, with the format sharp must detect in the file
+const PORTADA_TIPOS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+const EXTENSIONES = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+const PORTADA_MAX_BYTES = Number.parseInt(process.env.PORTADA_MAX_BYTES, 10) || 5 * 1024 * 1024;
+// Refuse images with more pixels before decoding them, so a small file cannot expand into
+// gigabytes of memory
+const PORTADA_MAX_PIXELES = 40 * 1000 * 1000;
+// Longest side of each thumbnail; they keep the cover's proportions and are never upscaled
+const PORTADA_MINIATURAS = {
+  pequena: 150,
+  mediana: 300,
+  grande: 600
+};
+
+const portadaInvalidaError = (message) => {
+  const error = new Error(message);
+  error.code = 'PORTADA_INVALIDA';
+  return error;
+};
+
+// Check that the upload is a readable image of its declared type and render the JPEG
+// thumbnails. The original is kept byte for byte.
+async function procesarPortada(original, contentType) {
+  const formato = PORTADA_TIPOS[contentType];
+  const abrir = () => sharp(original, { limitInputPixels: PORTADA_MAX_PIXELES });
+
+  let metadata;
+  try {
+    metadata = await abrir().metadata();
+  } catch (error) {
+    throw portadaInvalidaError(`The file is not a readable image: ${error.message}`);
+  }
+
+  if (metadata.format !== formato) {
+    throw portadaInvalidaError(`The file is ${metadata.format || 'unknown'}, not ${contentType}`);
+  }
+
+  const miniaturas = [];
+
+  try {
+    // One at a time, decoding several large images at once only costs memory
+    for (const [nombre, lado] of Object.entries(PORTADA_MINIATURAS)) {
+      const body = await abrir()
+        .rotate()
+        .resize(lado, lado, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toBuffer();
+      miniaturas.push({ nombre, body });
+    }
+  } catch (error) {
+    throw portadaInvalidaError(`The image could not be decoded: ${error.message}`);
+  }
+
+  return { formato, ancho: metadata.width, alto: metadata.height, original, miniaturas };
+}
+
+// Upload a processed cover under a fresh prefix, albumes/<id>/<random>/, and return the key
+// of the original to store in albumes.portada. Nothing is left behind if an upload fails.
+async function guardarPortada(idAlbum, { formato, original, miniaturas }) {
+  const prefijo = `albumes/${idAlbum}/${crypto.randomBytes(8).toString('hex')}`;
+  const clave = `${prefijo}/original.${EXTENSIONES[formato]}`;
+
+  try {
+    await storage.put(clave, original, `image/${formato}`);
+
+    for (const { nombre, body } of miniaturas) {
+      await storage.put(`${prefijo}/${nombre}.jpg`, body, 'image/jpeg');
+    }
+  } catch (error) {
+    await storage.removePrefix(prefijo).catch(() => {});
+    throw error;
+  }
+
+  return clave;
+}
+
+// Delete stored covers with their thumbnails. Runs after the rows changed, so failures are
+// only logged; the files are orphaned but no longer referenced.
+async function eliminarPortadas(claves) {
+  for (const clave of claves.filter(Boolean)) {
+    try {
+      await storage.removePrefix(path.posix.dirname(clave));
+    } catch (error) {
+      logger.warn('Could not delete cover', { clave, error: error.message });
+    }
+  }
+}
+
+// Public URLs of a stored cover and its thumbnails; both null when there is no cover
+const portadaUrls = (clave) => {
+  if (!clave) {
+    return { portada_url: null, portada_miniaturas: null };
+  }
+
+  const prefijo = path.posix.dirname(clave);
+
+  return {
+    portada_url: storage.url(clave),
+    portada_miniaturas: Object.fromEntries(
+      Object.keys(PORTADA_MINIATURAS).map(nombre => [nombre, storage.url(`${prefijo}/${nombre}.jpg`)])
+    )
+  };
+};
+
+// Replace the portada key of an album row with the cover URLs
+const conPortada = ({ portada, ...album }) => ({ ...album, ...portadaUrls(portada) });
+
+module.exports = {
+  PORTADA_TIPOS,
+  PORTADA_MAX_BYTES,
+  PORTADA_MINIATURAS,
+  procesarPortada,
+  guardarPortada,
+  eliminarPortadas,
+  portadaUrls,
+  conPortada
+};
@@ -0,0 +1,11 @@
+// Helper function for consistent API responses
+const createResponse = (status, message, data = null) => ({
+  status,
+  message,
+  ...(data && { data }),
+  timestamp: new Date().toISOString()
+});
+
+module.exports = {
+  createResponse
+};
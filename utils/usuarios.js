@@ -0,0 +1,21 @@
+const bcrypt = require('bcryptjs');
+
+// User roles and password hashing, shared by the API and the coleccion CLI. Kept apart from
+// middleware/auth.js so they can be used without a JWT_SECRET.
+
+// Roles are cumulative: each role can do everything the previous ones can
+const ROLES = ['lector', 'editor', 'admin'];
+const PASSWORD_SALT_ROUNDS = 10;
+// Shortest password accepted, as openapi.yaml enforces for registration
+const PASSWORD_MIN_LENGTH = 8;
+
+const hashPassword = (password) => bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+module.exports = {
+  ROLES,
+  PASSWORD_MIN_LENGTH,
+  hashPassword,
+  verifyPassword
+};